@@ -0,0 +1,85 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+/* eslint-disable no-console */
+
+const { AhoCorasickEngine, Dictionary, RegExpEngine } = require('../src/api');
+
+const LINE_COUNT = 200;
+const PATTERN_COUNT = 50000;
+const WORDS_PER_LINE = 12;
+
+function createWord(index) {
+  return `term${index.toString(36)}x`;
+}
+
+function measure(engine, lines, patterns) {
+  const dictionary = new Dictionary({ engine, patterns, wholeWord: true });
+  const results = [];
+  const start = process.hrtime();
+
+  lines.forEach((line, lineNumber) => {
+    for (const result of dictionary.search({ line, lineNumber, options: {} })) {
+      results.push(`${result.lineNumber}:${result.columnNumber}:${result.pattern}`);
+    }
+  });
+
+  const [ seconds, nanoseconds ] = process.hrtime(start);
+
+  return {
+    duration: (seconds * 1e3) + (nanoseconds / 1e6),
+    results
+  };
+}
+
+const patterns = [];
+for (let i = 0; i < PATTERN_COUNT; i++) {
+  patterns.push(createWord(i));
+}
+
+const lines = [];
+for (let i = 0; i < LINE_COUNT; i++) {
+  const words = [];
+
+  for (let j = 0; j < WORDS_PER_LINE; j++) {
+    words.push(createWord(((i * WORDS_PER_LINE) + j) * 97 % (PATTERN_COUNT * 2)));
+  }
+
+  lines.push(words.join(' '));
+}
+
+console.log(`Searching ${LINE_COUNT} lines for ${PATTERN_COUNT} literal patterns...`);
+
+const expected = measure(RegExpEngine, lines, patterns);
+console.log(`RegExpEngine:      ${expected.duration.toFixed(0)}ms (${expected.results.length} results)`);
+
+const actual = measure(AhoCorasickEngine, lines, patterns);
+console.log(`AhoCorasickEngine: ${actual.duration.toFixed(0)}ms (${actual.results.length} results)`);
+
+if (actual.results.join('\n') !== expected.results.join('\n')) {
+  console.error('Results differ between engines');
+  process.exitCode = 1;
+} else {
+  console.log(`Speed-up: ${(expected.duration / actual.duration).toFixed(1)}x`);
+}
@@ -0,0 +1,159 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const _unit = Symbol('unit');
+
+let COMBINING_MARK;
+try {
+  COMBINING_MARK = new RegExp('[\\p{M}\\u200d\\ufe0e\\ufe0f]', 'u');
+} catch (e) {
+  COMBINING_MARK = /[\u0300-\u036f\u1ab0-\u1aff\u1dc0-\u1dff\u200d\u20d0-\u20ff\ufe0e\ufe0f\ufe20-\ufe2f]/;
+}
+
+let segmenter;
+
+/**
+ * Counts columns within lines of text using a specific unit.
+ *
+ * JavaScript strings are indexed by UTF-16 code units, which means that characters outside of the Basic Multilingual
+ * Plane (e.g. emoji) occupy two columns. Editors and other tools often count columns differently, so a
+ * <code>ColumnCounter</code> can be used to convert between UTF-16 indices and columns that are counted in either
+ * Unicode code points or grapheme clusters (i.e. user-perceived characters) instead.
+ *
+ * Grapheme clusters are counted using <code>Intl.Segmenter</code> where it's supported by the runtime. Otherwise, they
+ * are approximated by treating combining marks as part of the character that precedes them.
+ *
+ * @public
+ */
+class ColumnCounter {
+
+  /**
+   * Creates an instance of {@link ColumnCounter} for the specified <code>unit</code>.
+   *
+   * An error will occur if <code>unit</code> is not one of {@link ColumnCounter.UNITS}.
+   *
+   * @param {string} [unit="utf16"] - the unit in which columns are to be counted
+   * @throws {TypeError} If <code>unit</code> is invalid.
+   * @public
+   */
+  constructor(unit) {
+    unit = unit || 'utf16';
+
+    if (!ColumnCounter.UNITS.includes(unit)) {
+      throw new TypeError(`Invalid column unit: ${unit}`);
+    }
+
+    this[_unit] = unit;
+  }
+
+  /**
+   * Returns the column within the specified <code>line</code> that corresponds to the UTF-16 <code>index</code>
+   * provided.
+   *
+   * @param {string} line - the line of text containing <code>index</code>
+   * @param {number} index - the UTF-16 index to be converted
+   * @return {number} The column for <code>index</code> counted in the unit of this {@link ColumnCounter}.
+   * @public
+   */
+  count(line, index) {
+    if (this[_unit] === 'utf16') {
+      return index;
+    }
+
+    return getBoundaries(line, this[_unit]).filter((boundary) => boundary < index).length;
+  }
+
+  /**
+   * Returns the UTF-16 index within the specified <code>line</code> that corresponds to the <code>column</code>
+   * provided.
+   *
+   * This is the inverse of {@link ColumnCounter#count}.
+   *
+   * @param {string} line - the line of text containing <code>column</code>
+   * @param {number} column - the column, counted in the unit of this {@link ColumnCounter}, to be converted
+   * @return {number} The UTF-16 index for <code>column</code>.
+   * @public
+   */
+  indexOf(line, column) {
+    if (this[_unit] === 'utf16') {
+      return column;
+    }
+
+    const boundaries = getBoundaries(line, this[_unit]);
+
+    return column < boundaries.length ? boundaries[column] : line.length;
+  }
+
+  /**
+   * Returns the unit in which columns are counted by this {@link ColumnCounter}.
+   *
+   * @return {string} The unit (see {@link ColumnCounter.UNITS}).
+   * @public
+   */
+  get unit() {
+    return this[_unit];
+  }
+
+}
+
+function getBoundaries(line, unit) {
+  const boundaries = [];
+
+  if (unit === 'grapheme' && typeof Intl === 'object' && typeof Intl.Segmenter === 'function') {
+    if (!segmenter) {
+      segmenter = new Intl.Segmenter([], { granularity: 'grapheme' });
+    }
+
+    for (const { index } of segmenter.segment(line)) {
+      boundaries.push(index);
+    }
+
+    return boundaries;
+  }
+
+  let index = 0;
+
+  for (const char of line) {
+    if (unit !== 'grapheme' || !index || !COMBINING_MARK.test(char)) {
+      boundaries.push(index);
+    }
+
+    index += char.length;
+  }
+
+  return boundaries;
+}
+
+/**
+ * The units in which columns can be counted.
+ *
+ * <code>"utf16"</code> counts UTF-16 code units (i.e. JavaScript string indices), <code>"codepoint"</code> counts
+ * Unicode code points, and <code>"grapheme"</code> counts grapheme clusters.
+ *
+ * @public
+ * @type {string[]}
+ */
+ColumnCounter.UNITS = [ 'utf16', 'codepoint', 'grapheme' ];
+
+module.exports = ColumnCounter;
@@ -23,52 +23,148 @@
 'use strict';
 
 const debug = require('debug')('searcherer:api');
+const { EventEmitter } = require('events');
 
-const _createRegExpMap = Symbol('createRegExpMap');
+const AhoCorasickEngine = require('./engine/AhoCorasickEngine');
+const ColumnCounter = require('./ColumnCounter');
+const FuzzyEngine = require('./engine/FuzzyEngine');
+const Normalizer = require('./Normalizer');
+const PatternAnalyzer = require('./PatternAnalyzer');
+const RegExpEngine = require('./engine/RegExpEngine');
+const ValidationError = require('./ValidationError');
+
+const _declared = Symbol('declared');
+const _engine = Symbol('engine');
+const _engines = Symbol('engines');
+const _filePath = Symbol('filePath');
+const _getEngine = Symbol('getEngine');
+const _invalidate = Symbol('invalidate');
+const _mode = Symbol('mode');
 const _name = Symbol('name');
+const _options = Symbol('options');
 const _patterns = Symbol('patterns');
-const _regExpMaps = Symbol('regExpMaps');
+const _problems = Symbol('problems');
+
+const EMPTY_MATCH_PROBES = [ '', 'a', 'aA0_ .-\n' ];
+
+const PROBLEM_SEVERITIES = {
+  'duplicate': 'error',
+  'empty': 'error',
+  'empty-match': 'error',
+  'exponential': 'warning',
+  'invalid': 'error',
+  'polynomial': 'warning'
+};
+
+const PATTERN_OPTION_TYPES = {
+  caseSensitive: 'boolean',
+  distance: 'number',
+  homoglyphs: 'boolean',
+  leetspeak: 'boolean',
+  literal: 'boolean',
+  message: 'string',
+  replacement: 'string',
+  severity: 'string',
+  unicode: 'boolean',
+  wholeWord: 'boolean'
+};
 
 /**
  * Contains a dictionary of patterns, which are treated as regular expressions, that can be used to search strings.
  *
  * While dictionaries are mostly created internally by the static methods on {@link Searcherer}, it's encouraged to
  * create <code>Dictionary</code> instances when searching a large number of patterns and/or using the same patterns to
- * search many different strings/files. Doing so will increase performance as regular expressions compiled from the
- * patterns are cached.
+ * search many different strings/files. Doing so will increase performance as the patterns are only compiled once.
+ *
+ * Patterns are matched by an {@link Engine}, which can be controlled using the <code>engine</code> option. By default,
+ * {@link Dictionary.defaultEngine} is used unless the <code>mode</code> option is <code>"fuzzy"</code>, in which case
+ * {@link FuzzyEngine} is used to find approximate matches for each pattern instead.
+ *
+ * Patterns can be added and deleted after a dictionary has been created, in which case any compiled patterns are
+ * discarded and the <code>change</code> event is fired.
  *
  * @public
  */
-class Dictionary {
+class Dictionary extends EventEmitter {
 
   /**
-   * Parses the specified string into a {@link Dictionary}.
-   *
-   * Optionally, <code>defaults</code> can be provided to control the default values that are to be used if the data
-   * parsed from <code>str</code> is incomplete.
+   * Creates a {@link Dictionary} from the specified <code>data</code>, which has typically been parsed from a string or
+   * a "dictionary file".
    *
-   * By default, <code>str</code> is parsed as JSON and this method is primarily intended to be used internally to parse
-   * "dictionary files" via methods on {@link Searcherer}, however, this can be used externally as well. The parsed data
-   * can be any of the following types:
+   * Optionally, <code>defaults</code> can be provided to control the default values that are to be used if
+   * <code>data</code> is incomplete. <code>data</code> can be any of the following types:
    *
    * <ul>
    *   <li>string - used as a single search pattern</li>
    *   <li>array - used as search patterns</li>
-   *   <li>object - uses values of the <code>name</code> and <code>patterns</code> properties accordingly</li>
+   *   <li>object - uses values of the <code>mode</code>, <code>name</code>, and <code>patterns</code> properties
+   *   accordingly, along with
+   *   any of the {@link Dictionary~PatternOptions} which are used as defaults for all patterns</li>
    * </ul>
    *
-   * However, implementations are free to override this behavior as needed.
+   * Each search pattern can either be a string or an object containing a <code>pattern</code> string along with any of
+   * the {@link Dictionary~PatternOptions}. All options are validated.
+   *
+   * This method will return <code>null</code> if <code>data</code> is <code>null</code>.
+   *
+   * An error will occur if any of the options within <code>data</code> are invalid.
+   *
+   * @param {*} data - the data from which the {@link Dictionary} is to be created (may be <code>null</code>)
+   * @param {Dictionary~Options} [defaults] - the default values to be used to fill missing data
+   * @return {?Dictionary} A {@link Dictionary} created from <code>data</code> or <code>null</code> if <code>data</code>
+   * is <code>null</code>.
+   * @throws {TypeError} If any of the options within <code>data</code> are invalid.
+   * @public
+   */
+  static create(data, defaults = {}) {
+    if (data == null) {
+      return null;
+    }
+
+    if (typeof data === 'string' || Array.isArray(data)) {
+      validatePatterns(data);
+
+      return new Dictionary({
+        filePath: defaults.filePath,
+        name: defaults.name,
+        patterns: data
+      });
+    }
+
+    validateOptions(data, 'dictionary', [ 'mode', 'name', 'patterns' ]);
+    validatePatterns(data.patterns);
+
+    return new Dictionary(Object.assign({}, data, {
+      filePath: defaults.filePath,
+      name: data.name || defaults.name,
+      patterns: data.patterns || defaults.patterns
+    }));
+  }
+
+  /**
+   * Parses the specified string into a {@link Dictionary}.
+   *
+   * Optionally, <code>defaults</code> can be provided to control the default values that are to be used if the data
+   * parsed from <code>str</code> is incomplete.
+   *
+   * By default, <code>str</code> is parsed as JSON and the resulting data is passed to {@link Dictionary.create}. This
+   * method is primarily intended to be used internally to parse JSON "dictionary files" via methods on
+   * {@link Searcherer}, however, this can be used externally as well.
+   *
+   * Implementations are free to override this behavior as needed.
    *
    * This method will return <code>null</code> if <code>str</code> is <code>null</code> or the JSON is parsed to
    * <code>null</code>.
    *
-   * An error will occur if <code>str</code> contains invalid JSON.
+   * An error will occur if <code>str</code> contains invalid JSON or any of the parsed options are invalid.
    *
    * @param {?string} str - the string to be parsed (may be <code>null</code>)
    * @param {Dictionary~Options} [defaults] - the default values to be used to fill missing data
    * @return {?Dictionary} A {@link Dictionary} parsed from <code>str</code> or <code>null</code> if <code>str</code> is
    * <code>null</code> or it's the result of being parsed as JSON.
    * @throws {SyntaxError} If <code>str</code> contains invalid JSON.
+   * @throws {TypeError} If any of the parsed options are invalid.
+   * @see {@link Dictionary.create}
    * @public
    */
   static parse(str, defaults = {}) {
@@ -78,18 +174,7 @@ class Dictionary {
       return null;
     }
 
-    const data = JSON.parse(str);
-    if (data == null) {
-      return null;
-    }
-
-    if (typeof data === 'string' || Array.isArray(data)) {
-      return new Dictionary({ patterns: data });
-    }
-    return new Dictionary({
-      name: data.name || defaults.name,
-      patterns: data.patterns || defaults.patterns
-    });
+    return Dictionary.create(JSON.parse(str), defaults);
   }
 
   /**
@@ -99,12 +184,83 @@ class Dictionary {
    * @public
    */
   constructor(options = {}) {
+    super();
+
+    const mode = options.mode || 'exact';
     const name = options.name || '<unknown>';
     const patterns = options.patterns != null ? options.patterns : [];
 
+    // Patterns in the order in which they were declared, including any duplicates, so that problems can be reported
+    this[_declared] = [];
+    this[_engine] = options.engine || (mode === 'fuzzy' ? FuzzyEngine : Dictionary.defaultEngine);
+    this[_engines] = new Map();
+    this[_filePath] = options.filePath || null;
+    this[_mode] = mode;
     this[_name] = name;
-    this[_patterns] = new Set(Array.isArray(patterns) ? patterns : [ patterns ]);
-    this[_regExpMaps] = new Map();
+    this[_options] = pickPatternOptions(options);
+    this[_patterns] = new Map();
+    this[_problems] = null;
+
+    for (const pattern of Array.isArray(patterns) ? patterns : [ patterns ]) {
+      if (typeof pattern === 'string') {
+        this[_declared].push(pattern);
+        this[_patterns].set(pattern, Object.assign({}, this[_options]));
+      } else {
+        this[_declared].push(pattern.pattern);
+        this[_patterns].set(pattern.pattern, Object.assign({}, this[_options], pickPatternOptions(pattern)));
+      }
+    }
+  }
+
+  /**
+   * Adds the specified <code>pattern</code> to this {@link Dictionary}.
+   *
+   * <code>pattern</code> can either be a string or an object containing a <code>pattern</code> string along with any
+   * of the {@link Dictionary~PatternOptions}, which are validated. Any options that were specified for this
+   * {@link Dictionary} as a whole are used as defaults. If <code>pattern</code> already exists, its options are
+   * replaced.
+   *
+   * An error will occur if any of the options for <code>pattern</code> are invalid.
+   *
+   * @param {string|Dictionary~Pattern} pattern - the pattern to be added
+   * @return {Dictionary} A reference to this {@link Dictionary} for chaining purposes.
+   * @throws {TypeError} If any of the options for <code>pattern</code> are invalid.
+   * @fires Dictionary#change
+   * @public
+   */
+  add(pattern) {
+    validatePattern(pattern, 'pattern');
+
+    const value = typeof pattern === 'string' ? pattern : pattern.pattern;
+    const options = typeof pattern === 'string' ? {} : pickPatternOptions(pattern);
+
+    if (!this[_patterns].has(value)) {
+      this[_declared].push(value);
+    }
+
+    this[_patterns].set(value, Object.assign({}, this[_options], options));
+    this[_invalidate]('add', [ value ]);
+
+    return this;
+  }
+
+  /**
+   * Deletes all of the patterns from this {@link Dictionary}.
+   *
+   * @return {void}
+   * @fires Dictionary#change
+   * @public
+   */
+  clear() {
+    if (!this[_patterns].size) {
+      return;
+    }
+
+    const patterns = this.patterns;
+
+    this[_declared] = [];
+    this[_patterns].clear();
+    this[_invalidate]('clear', patterns);
   }
 
   /**
@@ -129,14 +285,142 @@ class Dictionary {
    * @public
    */
   createResult(pattern, match, context) {
-    return {
-      columnNumber: match.index,
-      dictionary: this,
-      line: context.line,
-      lineNumber: context.lineNumber,
-      match: match[0],
-      pattern
-    };
+    const counter = new ColumnCounter(context.options.columnUnit);
+    let result;
+
+    if (context.options.multiline) {
+      const start = getPosition(context.lineOffsets, match.index);
+      const end = getPosition(context.lineOffsets, match.index + match[0].length);
+      const line = context.lines[start.lineNumber];
+
+      result = {
+        columnNumber: counter.count(line, start.columnNumber),
+        dictionary: this,
+        endColumnNumber: counter.count(context.lines[end.lineNumber] || '', end.columnNumber),
+        endLineNumber: end.lineNumber,
+        line,
+        lineNumber: start.lineNumber,
+        match: match[0],
+        offset: match.index,
+        pattern
+      };
+    } else {
+      result = {
+        columnNumber: counter.count(context.line, match.index),
+        dictionary: this,
+        endColumnNumber: counter.count(context.line, match.index + match[0].length),
+        line: context.line,
+        lineNumber: context.lineNumber,
+        match: match[0],
+        offset: (context.offset || 0) + match.index,
+        pattern
+      };
+    }
+
+    if (match.length > 1) {
+      const offset = context.options.multiline ? 0 : context.offset || 0;
+      const indices = match.indices || [];
+
+      result.groups = [];
+
+      for (let i = 1; i < match.length; i++) {
+        result.groups.push(createGroup(match[i], indices[i], offset));
+      }
+
+      if (match.groups) {
+        result.namedGroups = {};
+
+        for (const name of Object.keys(match.groups)) {
+          result.namedGroups[name] = createGroup(match.groups[name], indices.groups && indices.groups[name], offset);
+        }
+      }
+    }
+
+    const options = this[_patterns].get(pattern);
+
+    if (options && options.message != null) {
+      result.message = options.message;
+    }
+    if (options && options.severity != null) {
+      result.severity = options.severity;
+    }
+
+    return result;
+  }
+
+  /**
+   * Creates the replacement for the specified search <code>result</code> based on the <code>replacement</code>
+   * provided.
+   *
+   * <code>replacement</code> can contain the same special replacement patterns as <code>String#replace</code> (e.g.
+   * <code>$1</code>, <code>$&lt;name&gt;</code>, <code>$&amp;</code>), which are expanded using the match that was
+   * found at <code>index</code> within <code>input</code>.
+   *
+   * @param {Searcherer~Result} result - the search result for which the replacement is to be created
+   * @param {string} replacement - the replacement, which may contain references to capture groups
+   * @param {string} input - the string that was searched when <code>result</code> was found (i.e. the line or, if the
+   * <code>multiline</code> option is enabled, the whole value)
+   * @param {number} index - the index of the match within <code>input</code>
+   * @param {Searcherer~SearchOptions} options - the options that were used when <code>result</code> was found
+   * @return {string} The expanded replacement.
+   * @public
+   */
+  createReplacement(result, replacement, input, index, options) {
+    const regExp = this[_getEngine](options).getRegExp(result.pattern);
+    if (!regExp) {
+      return replacement;
+    }
+
+    const stickyRegExp = new RegExp(regExp.source, `${regExp.flags.replace('g', '')}y`);
+    stickyRegExp.lastIndex = index;
+
+    if (!stickyRegExp.test(input)) {
+      return replacement;
+    }
+
+    stickyRegExp.lastIndex = index;
+
+    const replaced = input.replace(stickyRegExp, replacement);
+
+    return replaced.substring(index, replaced.length - (input.length - index - result.match.length));
+  }
+
+  /**
+   * Deletes the specified <code>pattern</code> from this {@link Dictionary}.
+   *
+   * @param {string} pattern - the pattern to be deleted
+   * @return {boolean} <code>true</code> if <code>pattern</code> existed and has been deleted; otherwise
+   * <code>false</code>.
+   * @fires Dictionary#change
+   * @public
+   */
+  delete(pattern) {
+    if (!this[_patterns].delete(pattern)) {
+      return false;
+    }
+
+    this[_declared] = this[_declared].filter((declared) => declared !== pattern);
+    this[_invalidate]('delete', [ pattern ]);
+
+    return true;
+  }
+
+  /**
+   * Returns the options for the specified <code>pattern</code> within this {@link Dictionary}.
+   *
+   * The options include any defaults that were specified for this {@link Dictionary} as a whole.
+   *
+   * This method will return <code>null</code> if <code>pattern</code> does not exist.
+   *
+   * @param {string} pattern - the pattern whose options are to be returned
+   * @return {?Dictionary~PatternOptions} A copy of the options for <code>pattern</code> or <code>null</code> if it does
+   * not exist.
+   * @public
+   */
+  getPatternOptions(pattern) {
+    const options = this[_patterns].get(pattern);
+
+    return options ? Object.assign({}, options) : null;
   }
 
   /**
@@ -154,22 +438,68 @@ class Dictionary {
    * Searches the line within the specified <code>context</code> using the patterns within this {@link Dictionary} and
    * iterates over the results.
    *
-   * @param {Searcherer~SearchContext} context - the context whose line is to be searched
+   * If the <code>multiline</code> option is enabled, the whole value within <code>context</code> is searched instead of
+   * only the line, allowing patterns to match across multiple lines.
+   *
+   * If either the <code>normalize</code> or <code>ignoreDiacritics</code> option is used, a folded copy of the line (or
+   * value) is searched instead but each match is mapped back so that it refers to the original text.
+   *
+   * If the <code>timeout</code> option is used, any pattern that takes longer than that to be matched is skipped and a
+   * warning is added to the <code>warnings</code> of <code>context</code>, where present, instead.
+   *
+   * @param {Searcherer~SearchContext} context - the context whose line (or value) is to be searched
    * @return {Iterable.<Searcherer~Result>} An <code>Iterable</code> for each search result.
    * @public
    */
   *search(context) {
-    const regExpMap = this[_createRegExpMap](Boolean(context.options.caseSensitive));
+    const engine = this[_getEngine](context.options);
+    const input = context.options.multiline ? context.value : context.line;
+    const folded = new Normalizer(context.options).fold(input);
+
+    for (const { distance, match, pattern, timedOut } of engine.exec(folded ? folded.value : input)) {
+      if (timedOut) {
+        debug('Pattern timed out after %dms: %s', engine.timeout, pattern);
 
-    for (const [ pattern, regExp ] of regExpMap) {
-      let match;
+        if (context.warnings) {
+          context.warnings.push({
+            dictionary: this,
+            lineNumber: context.options.multiline ? null : context.lineNumber,
+            message: `Pattern timed out after ${engine.timeout}ms`,
+            pattern
+          });
+        }
 
-      while ((match = regExp.exec(context.line)) != null) {
-        yield this.createResult(pattern, match, context);
+        continue;
       }
+
+      const result = this.createResult(pattern, folded ? restoreMatch(match, folded, input) : match, context);
+
+      if (distance != null) {
+        result.distance = distance;
+      }
+
+      yield result;
     }
   }
 
+  /**
+   * Returns a JSON representation of this {@link Dictionary}, which can be passed to the {@link Dictionary}
+   * constructor in order to recreate it.
+   *
+   * Each pattern is represented as an object containing all of its options, including any defaults that were specified
+   * for this {@link Dictionary} as a whole. The engine is not included.
+   *
+   * @return {Dictionary~Options} The JSON representation.
+   * @public
+   */
+  toJSON() {
+    return {
+      mode: this[_mode],
+      name: this[_name],
+      patterns: Array.from(this[_patterns], ([ pattern, options ]) => Object.assign({ pattern }, options))
+    };
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -178,30 +508,115 @@ class Dictionary {
     return this[_name];
   }
 
+  /**
+   * Validates the patterns within this {@link Dictionary} and returns any problems that were found.
+   *
+   * Every pattern is checked, reporting those that are duplicates of an earlier pattern, empty, invalid regular
+   * expressions, or that match the empty string (which would otherwise never stop being matched) as errors. Patterns
+   * that may cause excessive backtracking are reported as warnings (see {@link PatternAnalyzer}). Since the patterns
+   * within fuzzy dictionaries are not regular expressions, only the first two checks apply to them.
+   *
+   * The problems are only found once and are also checked before this {@link Dictionary} is first searched, with a
+   * {@link ValidationError} being thrown if there are any errors.
+   *
+   * @return {Dictionary~Problem[]} The problems found, if any.
+   * @public
+   */
+  validate() {
+    if (!this[_problems]) {
+      this[_problems] = findProblems(this, this[_declared]);
+    }
+
+    return Array.from(this[_problems]);
+  }
+
   /**
    * @inheritdoc
    * @override
    */
   *[Symbol.iterator]() {
-    yield* this[_patterns];
+    yield* this[_patterns].keys();
   }
 
-  [_createRegExpMap](caseSensitive) {
-    let regExpMap = this[_regExpMaps].get(caseSensitive);
-    if (regExpMap) {
-      return regExpMap;
+  [_getEngine](options) {
+    const engineOptions = {
+      caseSensitive: Boolean(options.caseSensitive),
+      ignoreDiacritics: Boolean(options.ignoreDiacritics),
+      multiline: Boolean(options.multiline),
+      normalize: options.normalize || null,
+      timeout: options.timeout || 0
+    };
+    const key = JSON.stringify(engineOptions);
+
+    let engine = this[_engines].get(key);
+    if (engine) {
+      return engine;
+    }
+
+    const problems = this.validate().filter((problem) => problem.severity === 'error');
+    if (problems.length) {
+      throw new ValidationError(problems);
     }
 
-    const flags = caseSensitive ? 'g' : 'gi';
-    regExpMap = new Map();
+    /* eslint-disable new-cap */
+    engine = new this[_engine](this, engineOptions);
+    /* eslint-enable new-cap */
 
-    for (const pattern of this[_patterns]) {
-      regExpMap.set(pattern, this.createRegExp(pattern, flags));
+    for (const [ pattern, patternOptions ] of this[_patterns]) {
+      engine.add(pattern, patternOptions);
     }
 
-    this[_regExpMaps].set(caseSensitive, regExpMap);
+    this[_engines].set(key, engine);
+
+    return engine;
+  }
+
+  [_invalidate](type, patterns) {
+    debug('Discarding compiled patterns for "%s" dictionary after change: %s', this[_name], type);
+
+    this[_engines].clear();
+    this[_problems] = null;
 
-    return regExpMap;
+    /**
+     * The "change" event is fired immediately after patterns have been added to or deleted from the dictionary.
+     *
+     * @event Dictionary#change
+     * @type {Object}
+     * @property {string[]} patterns - The patterns that were added or deleted.
+     * @property {string} type - The type of change; either <code>"add"</code>, <code>"clear"</code>, or
+     * <code>"delete"</code>.
+     */
+    this.emit('change', { patterns, type });
+  }
+
+  /**
+   * Returns the constructor for the {@link Engine} used by this {@link Dictionary} to match its patterns.
+   *
+   * @return {Function} The engine constructor.
+   * @public
+   */
+  get engine() {
+    return this[_engine];
+  }
+
+  /**
+   * Returns the path of the file from which this {@link Dictionary} was parsed.
+   *
+   * @return {?string} The file path or <code>null</code> if it was not parsed from a file.
+   * @public
+   */
+  get filePath() {
+    return this[_filePath];
+  }
+
+  /**
+   * Returns the mode of this {@link Dictionary}, which controls how its patterns are matched by default.
+   *
+   * @return {string} The mode (see {@link Dictionary.MODES}).
+   * @public
+   */
+  get mode() {
+    return this[_mode];
   }
 
   /**
@@ -221,25 +636,336 @@ class Dictionary {
    * @public
    */
   get patterns() {
-    return Array.from(this[_patterns]);
+    return Array.from(this[_patterns].keys());
+  }
+
+}
+
+function createGroup(value, indices, offset) {
+  const group = { value: value != null ? value : null };
+
+  if (indices) {
+    group.offset = offset + indices[0];
+  }
+
+  return group;
+}
+
+function createProblem(dictionary, index, pattern, code, message) {
+  return {
+    code,
+    dictionary,
+    filePath: dictionary.filePath,
+    index,
+    message,
+    pattern,
+    severity: PROBLEM_SEVERITIES[code]
+  };
+}
+
+function findProblems(dictionary, patterns) {
+  const engine = dictionary.mode === 'fuzzy' ? null : new RegExpEngine(dictionary, {});
+  const indices = new Map();
+  const problems = [];
+
+  patterns.forEach((pattern, index) => {
+    if (indices.has(pattern)) {
+      const message = `Duplicate of pattern at index ${indices.get(pattern)}`;
+
+      problems.push(createProblem(dictionary, index, pattern, 'duplicate', message));
+
+      return;
+    }
+
+    indices.set(pattern, index);
+
+    if (!pattern) {
+      problems.push(createProblem(dictionary, index, pattern, 'empty', 'Pattern is empty'));
+
+      return;
+    }
+    if (!engine) {
+      return;
+    }
+
+    let regExp;
+
+    try {
+      regExp = engine.createRegExp(pattern, dictionary.getPatternOptions(pattern));
+    } catch (e) {
+      problems.push(createProblem(dictionary, index, pattern, 'invalid', e.message));
+
+      return;
+    }
+
+    if (matchesEmpty(regExp)) {
+      problems.push(createProblem(dictionary, index, pattern, 'empty-match', 'Pattern matches the empty string'));
+
+      return;
+    }
+
+    const risk = new PatternAnalyzer(regExp).analyze();
+    if (risk) {
+      problems.push(createProblem(dictionary, index, pattern, risk.complexity, risk.message));
+    }
+  });
+
+  return problems;
+}
+
+function getPosition(lineOffsets, index) {
+  let low = 0;
+  let high = lineOffsets.length - 1;
+
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+
+    if (lineOffsets[middle] <= index) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+
+  return {
+    columnNumber: index - lineOffsets[low],
+    lineNumber: low
+  };
+}
+
+function matchesEmpty(regExp) {
+  for (const probe of EMPTY_MATCH_PROBES) {
+    let match;
+
+    regExp.lastIndex = 0;
+
+    while ((match = regExp.exec(probe)) != null) {
+      if (!match[0]) {
+        return true;
+      }
+    }
+  }
+
+  return false;
+}
+
+function pickPatternOptions(options) {
+  const patternOptions = {};
+
+  for (const name of Object.keys(PATTERN_OPTION_TYPES)) {
+    if (options[name] != null) {
+      patternOptions[name] = options[name];
+    }
   }
 
+  return patternOptions;
 }
 
+function restoreIndices(indices, folded, input) {
+  const start = indices[0] < folded.starts.length ? folded.starts[indices[0]] : input.length;
+  const end = indices[1] > indices[0] ? folded.ends[indices[1] - 1] : start;
+
+  return [ start, end ];
+}
+
+function restoreMatch(match, folded, input) {
+  const [ index, end ] = restoreIndices([ match.index, match.index + match[0].length ], folded, input);
+  const restored = [ input.substring(index, end) ];
+
+  restored.index = index;
+  restored.input = input;
+
+  if (match.length === 1) {
+    return restored;
+  }
+
+  if (!match.indices) {
+    // Captured values can only refer to the folded string without their positions
+    restored.push(...match.slice(1));
+    restored.groups = match.groups;
+
+    return restored;
+  }
+
+  const restoreGroup = (indices) => {
+    return indices ? restoreIndices(indices, folded, input) : null;
+  };
+  const getValue = (indices) => {
+    return indices ? input.substring(indices[0], indices[1]) : null;
+  };
+
+  restored.indices = [ [ index, end ] ];
+
+  for (let i = 1; i < match.length; i++) {
+    const indices = restoreGroup(match.indices[i]);
+
+    restored.push(getValue(indices));
+    restored.indices.push(indices);
+  }
+
+  if (match.groups) {
+    restored.groups = {};
+    restored.indices.groups = {};
+
+    for (const name of Object.keys(match.groups)) {
+      const indices = restoreGroup(match.indices.groups[name]);
+
+      restored.groups[name] = getValue(indices);
+      restored.indices.groups[name] = indices;
+    }
+  }
+
+  return restored;
+}
+
+function validateOptions(options, description, additionalNames) {
+  if (options == null || typeof options !== 'object' || Array.isArray(options)) {
+    throw new TypeError(`Invalid ${description}: must be an object`);
+  }
+
+  for (const name of Object.keys(options)) {
+    const type = PATTERN_OPTION_TYPES[name];
+    const value = options[name];
+
+    if (!type && !additionalNames.includes(name)) {
+      throw new TypeError(`Invalid ${description}: unknown option "${name}"`);
+    }
+    if (type && value != null && typeof value !== type) {
+      throw new TypeError(`Invalid ${description}: "${name}" option must be a ${type}`);
+    }
+  }
+
+  if (options.distance != null && (!Number.isInteger(options.distance) || options.distance < 0)) {
+    throw new TypeError(`Invalid ${description}: "distance" option must be a non-negative integer`);
+  }
+  if (options.mode != null && !Dictionary.MODES.includes(options.mode)) {
+    throw new TypeError(`Invalid ${description}: "mode" option must be one of ${Dictionary.MODES.join(', ')}`);
+  }
+  if (options.severity != null && !Dictionary.SEVERITIES.includes(options.severity)) {
+    throw new TypeError(`Invalid ${description}: "severity" option must be one of ${Dictionary.SEVERITIES.join(', ')}`);
+  }
+}
+
+function validatePattern(pattern, description) {
+  if (typeof pattern === 'string') {
+    return;
+  }
+
+  validateOptions(pattern, description, [ 'pattern' ]);
+
+  if (typeof pattern.pattern !== 'string') {
+    throw new TypeError(`Invalid ${description}: "pattern" option must be a string`);
+  }
+}
+
+function validatePatterns(patterns) {
+  if (patterns == null || typeof patterns === 'string') {
+    return;
+  }
+
+  patterns = Array.isArray(patterns) ? patterns : [ patterns ];
+  patterns.forEach((pattern, index) => validatePattern(pattern, `pattern at index ${index}`));
+}
+
+/**
+ * The {@link Engine} constructor that is used by a {@link Dictionary} to match its patterns when the
+ * <code>engine</code> option is not specified.
+ *
+ * @public
+ * @type {Function}
+ */
+Dictionary.defaultEngine = AhoCorasickEngine;
+
+/**
+ * The modes that can be assigned to dictionaries.
+ *
+ * <code>"exact"</code> treats patterns as regular expressions and <code>"fuzzy"</code> treats them as terms for which
+ * approximate matches are found using {@link FuzzyEngine}.
+ *
+ * @public
+ * @type {string[]}
+ */
+Dictionary.MODES = [ 'exact', 'fuzzy' ];
+
+/**
+ * The severities that can be assigned to patterns.
+ *
+ * @public
+ * @type {string[]}
+ */
+Dictionary.SEVERITIES = [ 'error', 'warning', 'info' ];
+
 module.exports = Dictionary;
 
 /**
  * A {@link RegExp} match.
  *
  * @typedef {Array} Dictionary~RegExpMatch
+ * @property {Object.<string, string>} [groups] - The values captured by named groups, if any.
  * @property {number} index - The 0-based index of the match in the string.
+ * @property {Array.<number[]>} [indices] - The start and end indices of the match followed by those for each captured
+ * group. Only present when the <code>d</code> flag was used.
  * @property {string} input - The original string.
  */
 
 /**
  * The options that can be passed to the {@link Dictionary} constructor.
  *
- * @typedef {Object} Dictionary~Options
+ * Any of the {@link Dictionary~PatternOptions} can also be specified to be used as defaults for all patterns.
+ *
+ * @typedef {Dictionary~PatternOptions} Dictionary~Options
+ * @property {Function} [engine] - The constructor for the {@link Engine} to be used to match the patterns. Defaults to
+ * {@link FuzzyEngine} if <code>mode</code> is <code>"fuzzy"</code>; otherwise {@link Dictionary.defaultEngine}.
+ * @property {string} [filePath] - The path of the file from which the dictionary was parsed, if any.
+ * @property {string} [mode="exact"] - The mode (see {@link Dictionary.MODES}).
  * @property {string} [name="<unknown>"] - The name.
- * @property {string|string[]} [patterns=[]] - The search pattern(s).
+ * @property {string|Array.<string|Dictionary~Pattern>} [patterns=[]] - The search pattern(s).
+ */
+
+/**
+ * A problem with a pattern that was found by {@link Dictionary#validate}.
+ *
+ * @typedef {Object} Dictionary~Problem
+ * @property {string} code - The type of problem; either <code>"duplicate"</code>, <code>"empty"</code>,
+ * <code>"empty-match"</code>, <code>"exponential"</code>, <code>"invalid"</code>, or <code>"polynomial"</code>.
+ * @property {Dictionary} dictionary - The {@link Dictionary} containing the pattern.
+ * @property {?string} filePath - The path of the file from which the dictionary was parsed, if any.
+ * @property {number} index - The 0-based index of the pattern within the dictionary, as it was declared.
+ * @property {string} message - The message describing the problem.
+ * @property {string} pattern - The pattern.
+ * @property {string} severity - The severity of the problem; <code>"error"</code> for problems that prevent the
+ * dictionary from being searched, otherwise <code>"warning"</code>.
+ */
+
+/**
+ * A search pattern along with options that only apply to it.
+ *
+ * @typedef {Dictionary~PatternOptions} Dictionary~Pattern
+ * @property {string} pattern - The search pattern.
+ */
+
+/**
+ * The options that can be applied to a search pattern.
+ *
+ * @typedef {Object} Dictionary~PatternOptions
+ * @property {boolean} [caseSensitive] - <code>true</code> to always match the pattern case-sensitively or
+ * <code>false</code> to always match it case-insensitively, regardless of the <code>caseSensitive</code> search option.
+ * @property {number} [distance=1] - The maximum edit distance of an approximate match for the pattern. Only applies to
+ * fuzzy dictionaries.
+ * @property {boolean} [homoglyphs] - <code>true</code> to match letters from other scripts that look like Latin
+ * letters as those letters; otherwise <code>false</code>. Only applies to fuzzy dictionaries.
+ * @property {boolean} [leetspeak] - <code>true</code> to match characters that are commonly used in place of letters
+ * (e.g. <code>"3"</code> for <code>"e"</code>) as those letters; otherwise <code>false</code>. Only applies to fuzzy
+ * dictionaries.
+ * @property {boolean} [literal] - <code>true</code> to treat the pattern as literal text instead of a regular
+ * expression; otherwise <code>false</code>.
+ * @property {string} [message] - A message describing why the pattern is being searched for.
+ * @property {string} [replacement] - The string with which matches for the pattern are to be replaced, which may
+ * contain references to capture groups (see {@link Searcherer#replace}). Capture groups are not supported by fuzzy
+ * dictionaries.
+ * @property {string} [severity] - The severity of a match for the pattern (see {@link Dictionary.SEVERITIES}).
+ * @property {boolean} [unicode] - <code>true</code> to enable the unicode flag for the pattern; otherwise
+ * <code>false</code>.
+ * @property {boolean} [wholeWord] - <code>true</code> to only match the pattern as a whole word; otherwise
+ * <code>false</code>.
  */
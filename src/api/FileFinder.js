@@ -0,0 +1,322 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const chalk = require('chalk');
+const debug = require('debug')('searcherer:api:files');
+const fs = require('fs');
+const glob = require('glob');
+const ignore = require('ignore');
+const minimatch = require('minimatch');
+const path = require('path');
+const util = require('util');
+
+const close = util.promisify(fs.close);
+const findFiles = util.promisify(glob);
+const lstat = util.promisify(fs.lstat);
+const open = util.promisify(fs.open);
+const read = util.promisify(fs.read);
+const readdir = util.promisify(fs.readdir);
+const readFile = util.promisify(fs.readFile);
+const stat = util.promisify(fs.stat);
+
+const _baseDir = Symbol('baseDir');
+const _binary = Symbol('binary');
+const _encoding = Symbol('encoding');
+const _exclude = Symbol('exclude');
+const _ignoreFiles = Symbol('ignoreFiles');
+const _include = Symbol('include');
+const _isBinary = Symbol('isBinary');
+const _isExcluded = Symbol('isExcluded');
+const _isIgnored = Symbol('isIgnored');
+const _isIncluded = Symbol('isIncluded');
+const _readIgnoreRules = Symbol('readIgnoreRules');
+const _walk = Symbol('walk');
+
+/**
+ * Finds the files to be searched based on file, directory, and glob pattern arguments, like those passed to
+ * {@link Searcherer#searchFiles} and {@link CLI}.
+ *
+ * Directories are walked recursively, respecting any rules found within <code>.gitignore</code> and
+ * <code>.searchererignore</code> files (or those specified by the <code>ignoreFiles</code> option) along the way. Glob
+ * patterns are expanded but are not subject to ignore files. All files, regardless of how they were found, can be
+ * further refined using the <code>exclude</code> and <code>include</code> options and binary files are skipped unless
+ * the <code>binary</code> option is enabled.
+ *
+ * @public
+ */
+class FileFinder {
+
+  /**
+   * Creates an instance of {@link FileFinder} using the <code>options</code> provided.
+   *
+   * @param {FileFinder~Options} [options] - the options to be used
+   * @public
+   */
+  constructor(options = {}) {
+    this[_baseDir] = path.resolve(options.baseDir || process.cwd());
+    this[_binary] = Boolean(options.binary);
+    this[_encoding] = options.encoding || 'utf8';
+    this[_exclude] = options.exclude || [];
+    this[_ignoreFiles] = options.ignoreFiles || FileFinder.IGNORE_FILES;
+    this[_include] = options.include || [];
+  }
+
+  /**
+   * Finds all of the files that match the specified <code>args</code>, each of which can be a path to a file or
+   * directory or a glob pattern.
+   *
+   * The paths of the files are returned in the order in which they were found without any duplicates.
+   *
+   * @param {string[]} args - the file, directory, and/or glob pattern arguments
+   * @return {Promise.<string[], Error>} A <code>Promise</code> for the asynchronous file traversal that is resolved
+   * with the absolute paths of all matching files.
+   * @public
+   */
+  async find(args) {
+    const filePaths = new Set();
+
+    for (const arg of args) {
+      const argPath = path.resolve(this.baseDir, arg);
+      const stats = await stat(argPath).catch(() => null);
+
+      if (stats && stats.isDirectory()) {
+        debug('Walking directory: %s', chalk.blue(argPath));
+
+        await this[_walk](argPath, await this[_readIgnoreRules](argPath), filePaths);
+      } else if (stats && stats.isFile()) {
+        // Paths to existing files are not expanded so that any characters special to glob patterns are taken literally
+        if (this[_isIncluded](argPath) && !await this[_isBinary](argPath)) {
+          filePaths.add(argPath);
+        }
+      } else {
+        const files = await findFiles(arg, {
+          absolute: true,
+          cwd: this.baseDir,
+          nodir: true
+        });
+
+        for (const file of files) {
+          const filePath = path.normalize(file);
+
+          if (this[_isIncluded](filePath) && !await this[_isBinary](filePath)) {
+            filePaths.add(filePath);
+          }
+        }
+      }
+    }
+
+    return Array.from(filePaths);
+  }
+
+  async [_isBinary](filePath) {
+    if (this[_binary] || /^(ucs-?2|utf-?16|utf-?32)/i.test(this[_encoding])) {
+      return false;
+    }
+
+    const fd = await open(filePath, 'r');
+
+    try {
+      const buffer = Buffer.alloc(8000);
+      const { bytesRead } = await read(fd, buffer, 0, buffer.length, 0);
+
+      if (buffer.slice(0, bytesRead).includes(0)) {
+        debug('Skipping binary file: %s', chalk.blue(filePath));
+
+        return true;
+      }
+
+      return false;
+    } finally {
+      await close(fd);
+    }
+  }
+
+  [_isExcluded](filePath) {
+    const relativePath = path.relative(this.baseDir, filePath);
+
+    return this[_exclude].some((pattern) => matchPattern(filePath, relativePath, pattern));
+  }
+
+  [_isIgnored](filePath, directory, rules) {
+    for (const rule of rules) {
+      let relativePath = path.relative(rule.dirPath, filePath).replace(/\\/g, '/');
+      if (directory) {
+        relativePath += '/';
+      }
+
+      if (rule.ignore.ignores(relativePath)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  [_isIncluded](filePath) {
+    if (this[_isExcluded](filePath)) {
+      return false;
+    }
+
+    const relativePath = path.relative(this.baseDir, filePath);
+
+    return !this[_include].length ||
+      this[_include].some((pattern) => matchPattern(filePath, relativePath, pattern));
+  }
+
+  async [_readIgnoreRules](dirPath) {
+    const dirPaths = [ dirPath ];
+    const relativePath = path.relative(this.baseDir, dirPath);
+
+    if (relativePath && !relativePath.startsWith('..') && !path.isAbsolute(relativePath)) {
+      let parentPath = dirPath;
+
+      // Stop at the root as well in case the base directory can never be reached
+      while (parentPath !== this.baseDir && path.dirname(parentPath) !== parentPath) {
+        parentPath = path.dirname(parentPath);
+        dirPaths.unshift(parentPath);
+      }
+    }
+
+    const rules = [];
+
+    for (const rulesDirPath of dirPaths) {
+      const rule = await readIgnoreFiles(rulesDirPath, this[_ignoreFiles]);
+      if (rule) {
+        rules.push(rule);
+      }
+    }
+
+    return rules;
+  }
+
+  async [_walk](dirPath, rules, filePaths) {
+    const names = (await readdir(dirPath)).sort();
+
+    for (const name of names) {
+      const filePath = path.join(dirPath, name);
+      const stats = await lstat(filePath);
+
+      if (stats.isDirectory()) {
+        if (name === '.git' || this[_isIgnored](filePath, true, rules) || this[_isExcluded](filePath)) {
+          debug('Skipping directory: %s', chalk.blue(filePath));
+
+          continue;
+        }
+
+        const rule = await readIgnoreFiles(filePath, this[_ignoreFiles]);
+
+        await this[_walk](filePath, rule ? rules.concat(rule) : rules, filePaths);
+      } else if (stats.isFile() || (stats.isSymbolicLink() && await isFile(filePath))) {
+        if (!this[_isIgnored](filePath, false, rules) && this[_isIncluded](filePath) &&
+          !await this[_isBinary](filePath)) {
+          filePaths.add(filePath);
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the base directory for this {@link FileFinder}.
+   *
+   * @return {string} The base directory.
+   * @public
+   */
+  get baseDir() {
+    return this[_baseDir];
+  }
+
+  /**
+   * Returns the names of the files, within any directory being walked by this {@link FileFinder}, whose rules are used
+   * to ignore files and directories.
+   *
+   * @return {string[]} The ignore file names.
+   * @public
+   */
+  get ignoreFiles() {
+    return this[_ignoreFiles];
+  }
+
+}
+
+/**
+ * The names of the files, within any directory being walked, whose rules are used by default to ignore files and
+ * directories.
+ *
+ * @public
+ * @type {string[]}
+ */
+FileFinder.IGNORE_FILES = [ '.gitignore', '.searchererignore' ];
+
+function isFile(filePath) {
+  return stat(filePath).then((stats) => stats.isFile(), () => false);
+}
+
+function matchPattern(filePath, relativePath, pattern) {
+  // Absolute patterns are matched against the absolute path so that they are unaffected by the base directory
+  return minimatch(path.isAbsolute(pattern) ? filePath : relativePath, pattern, { dot: true, matchBase: true });
+}
+
+async function readIgnoreFiles(dirPath, fileNames) {
+  const ig = ignore();
+  let found = false;
+
+  for (const fileName of fileNames) {
+    const data = await readFile(path.join(dirPath, fileName), 'utf8').catch(() => null);
+
+    if (data != null) {
+      debug('Reading ignore file: %s', chalk.blue(path.join(dirPath, fileName)));
+
+      ig.add(data);
+      found = true;
+    }
+  }
+
+  if (!found) {
+    return null;
+  }
+
+  return {
+    dirPath,
+    ignore: ig
+  };
+}
+
+module.exports = FileFinder;
+
+/**
+ * The options that can be passed to the {@link FileFinder} constructor.
+ *
+ * @typedef {Object} FileFinder~Options
+ * @property {string} [baseDir=process.cwd()] - The base directory to be used. Resolved against the current working
+ * directory if relative.
+ * @property {boolean} [binary] - <code>true</code> to include binary files; otherwise <code>false</code>.
+ * @property {string} [encoding="utf8"] - The encoding of the contents of the files to be searched. Binary file
+ * detection is disabled for encodings that commonly contain null bytes (e.g. UTF-16).
+ * @property {string[]} [exclude=[]] - The glob patterns for files and directories to be excluded. Relative patterns are
+ * matched against paths relative to the base directory and absolute patterns against absolute paths.
+ * @property {string[]} [ignoreFiles=FileFinder.IGNORE_FILES] - The names of the files, within any directory being
+ * walked, whose rules are used to ignore files and directories. Ignore files are not used at all if empty.
+ * @property {string[]} [include=[]] - The glob patterns for files to be included. All files are included by default.
+ * Patterns are matched in the same way as <code>exclude</code>.
+ */
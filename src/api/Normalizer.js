@@ -0,0 +1,193 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const _foldSegment = Symbol('foldSegment');
+const _form = Symbol('form');
+const _ignoreDiacritics = Symbol('ignoreDiacritics');
+
+const COMBINING_MARKS = '\\u0300-\\u036f\\u1ab0-\\u1aff\\u1dc0-\\u1dff\\u20d0-\\u20ff\\ufe20-\\ufe2f';
+
+const DIACRITICS = new RegExp(`[${COMBINING_MARKS}]`, 'g');
+
+const LETTERS = {
+  Đ: 'D',
+  Ħ: 'H',
+  Ł: 'L',
+  Ø: 'O',
+  đ: 'd',
+  ħ: 'h',
+  ł: 'l',
+  ø: 'o'
+};
+
+let SEGMENT;
+try {
+  SEGMENT = new RegExp('[\\s\\S][\\p{M}\\u1160-\\u11ff]*', 'gu');
+} catch (e) {
+  SEGMENT = new RegExp(`(?:[\\ud800-\\udbff][\\udc00-\\udfff]|[\\s\\S])[${COMBINING_MARKS}\\u1160-\\u11ff]*`, 'g');
+}
+
+/**
+ * Folds strings so that they can be matched regardless of how they have been encoded in Unicode and, optionally,
+ * regardless of any diacritics.
+ *
+ * Strings are folded one segment at a time, where a segment is a single character along with any combining marks that
+ * follow it, so that the index of each character within a folded string can be mapped back to the segment within the
+ * original string from which it was derived.
+ *
+ * @public
+ */
+class Normalizer {
+
+  /**
+   * Creates an instance of {@link Normalizer} using the <code>options</code> provided.
+   *
+   * An error will occur if the <code>normalize</code> option is not one of {@link Normalizer.FORMS}.
+   *
+   * @param {Normalizer~Options} [options] - the options to be used
+   * @throws {TypeError} If the <code>normalize</code> option is invalid.
+   * @public
+   */
+  constructor(options = {}) {
+    if (options.normalize && !Normalizer.FORMS.includes(options.normalize)) {
+      throw new TypeError(`Invalid normalization form: ${options.normalize}`);
+    }
+
+    this[_form] = options.normalize || null;
+    this[_ignoreDiacritics] = Boolean(options.ignoreDiacritics);
+  }
+
+  /**
+   * Folds the specified <code>str</code>, returning the folded string along with the information required to map
+   * indices within it back to indices within <code>str</code>.
+   *
+   * This method will return <code>null</code> if this {@link Normalizer} is not enabled or if <code>str</code> is
+   * unchanged by folding.
+   *
+   * @param {string} str - the string to be folded
+   * @return {?Normalizer~FoldedString} The folded string or <code>null</code> if <code>str</code> is unchanged.
+   * @public
+   */
+  fold(str) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const ends = [];
+    const starts = [];
+    let changed = false;
+    let match;
+    let value = '';
+
+    SEGMENT.lastIndex = 0;
+
+    while ((match = SEGMENT.exec(str)) != null) {
+      const segment = match[0];
+      const folded = this[_foldSegment](segment);
+      const end = match.index + segment.length;
+
+      if (folded !== segment) {
+        changed = true;
+      }
+
+      for (let i = 0; i < folded.length; i++) {
+        ends.push(end);
+        starts.push(match.index);
+      }
+
+      value += folded;
+    }
+
+    return changed ? { ends, starts, value } : null;
+  }
+
+  /**
+   * Folds the specified <code>str</code> and returns only the folded string.
+   *
+   * @param {string} str - the string to be folded
+   * @return {string} The folded string.
+   * @public
+   */
+  normalize(str) {
+    const folded = this.fold(str);
+
+    return folded ? folded.value : str;
+  }
+
+  [_foldSegment](segment) {
+    let folded = this[_form] ? segment.normalize(this[_form]) : segment;
+
+    if (this[_ignoreDiacritics]) {
+      folded = folded.normalize('NFD')
+        .replace(DIACRITICS, '')
+        .replace(/[ĐĦŁØđħłø]/g, (letter) => LETTERS[letter])
+        .normalize(this[_form] || 'NFC');
+    }
+
+    return folded;
+  }
+
+  /**
+   * Returns whether this {@link Normalizer} changes any strings.
+   *
+   * @return {boolean} <code>true</code> if either the <code>normalize</code> or <code>ignoreDiacritics</code> option
+   * was used; otherwise <code>false</code>.
+   * @public
+   */
+  get enabled() {
+    return Boolean(this[_form] || this[_ignoreDiacritics]);
+  }
+
+}
+
+/**
+ * The Unicode normalization forms that are supported.
+ *
+ * @public
+ * @type {string[]}
+ */
+Normalizer.FORMS = [ 'NFC', 'NFD', 'NFKC', 'NFKD' ];
+
+module.exports = Normalizer;
+
+/**
+ * A string that has been folded by a {@link Normalizer}.
+ *
+ * @typedef {Object} Normalizer~FoldedString
+ * @property {number[]} ends - The index within the original string at which the segment from which each character was
+ * derived ends.
+ * @property {number[]} starts - The index within the original string at which the segment from which each character
+ * was derived starts.
+ * @property {string} value - The folded string.
+ */
+
+/**
+ * The options that can be passed to the {@link Normalizer} constructor.
+ *
+ * @typedef {Object} Normalizer~Options
+ * @property {boolean} [ignoreDiacritics] - <code>true</code> to remove diacritics from strings; otherwise
+ * <code>false</code>.
+ * @property {string} [normalize] - The Unicode normalization form to be applied to strings (see
+ * {@link Normalizer.FORMS}).
+ */
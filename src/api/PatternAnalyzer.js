@@ -0,0 +1,331 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const _flags = Symbol('flags');
+const _source = Symbol('source');
+
+const ESCAPE = /\\(?:[1-9]\d*|k<[^>]*>|u\{[\da-fA-F]+\}|u[\da-fA-F]{4}|x[\da-fA-F]{2}|c[a-zA-Z]|[pP]\{[^}]*\}|[\s\S])/y;
+const GROUP_PREFIX = /\?(?:[:=!]|<[=!]|<[^>]*>)/y;
+const QUANTIFIER = /(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/y;
+
+let probes = null;
+
+/**
+ * Analyzes the source of a regular expression to find constructs that may cause excessive backtracking, which can make
+ * matching a string take so long that the search appears to hang (also known as ReDoS).
+ *
+ * The analysis is based on heuristics and so can report false positives as well as miss some risky constructs. Two
+ * types of risk are detected:
+ *
+ * <ul>
+ *   <li><code>"exponential"</code> - a repeated group containing either another unbounded quantifier (e.g.
+ *   <code>(a+)+</code>) or alternatives that can match the same characters (e.g. <code>(\w|\d)*</code>)</li>
+ *   <li><code>"polynomial"</code> - unbounded quantifiers that can match the same characters and are only separated by
+ *   optional items (e.g. <code>\d+\.?\d+</code>)</li>
+ * </ul>
+ *
+ * @public
+ */
+class PatternAnalyzer {
+
+  /**
+   * Creates an instance of {@link PatternAnalyzer} for the specified <code>regExp</code>.
+   *
+   * @param {RegExp} regExp - the <code>RegExp</code> to be analyzed
+   * @public
+   */
+  constructor(regExp) {
+    this[_flags] = regExp.flags.replace(/[dgy]/g, '');
+    this[_source] = regExp.source;
+  }
+
+  /**
+   * Analyzes the regular expression for this {@link PatternAnalyzer} and returns the most severe risk that was found.
+   *
+   * This method will return <code>null</code> if no risks were found.
+   *
+   * @return {?PatternAnalyzer~Risk} The most severe risk or <code>null</code> if none were found.
+   * @public
+   */
+  analyze() {
+    const risks = [];
+
+    findRisks(parseAlternation({ index: 0, source: this[_source] }), this[_flags], risks);
+
+    return risks.find((risk) => risk.complexity === 'exponential') || risks[0] || null;
+  }
+
+  /**
+   * Returns the flags of the regular expression for this {@link PatternAnalyzer}, excluding any that do not affect
+   * which characters are matched.
+   *
+   * @return {string} The flags.
+   * @public
+   */
+  get flags() {
+    return this[_flags];
+  }
+
+  /**
+   * Returns the source of the regular expression for this {@link PatternAnalyzer}.
+   *
+   * @return {string} The source.
+   * @public
+   */
+  get source() {
+    return this[_source];
+  }
+
+}
+
+function canOverlap(first, second, flags) {
+  if (first.type !== 'char' || second.type !== 'char') {
+    return false;
+  }
+
+  let firstRegExp;
+  let secondRegExp;
+
+  try {
+    firstRegExp = new RegExp(`^(?:${first.source})$`, flags);
+    secondRegExp = new RegExp(`^(?:${second.source})$`, flags);
+  } catch (e) {
+    return false;
+  }
+
+  return getProbes().some((probe) => firstRegExp.test(probe) && secondRegExp.test(probe));
+}
+
+function findRisks(alternation, flags, risks) {
+  for (const items of alternation.branches) {
+    items.forEach((item, index) => {
+      if (item.atom.type === 'group') {
+        if (item.max === Infinity && !item.atom.lookaround) {
+          findRepetitionRisks(item, flags, risks);
+        }
+
+        findRisks(item.atom.body, flags, risks);
+      } else if (item.max === Infinity) {
+        findSequenceRisks(items, index, flags, risks);
+      }
+    });
+  }
+}
+
+function findRepetitionRisks(item, flags, risks) {
+  const { body } = item.atom;
+
+  if (hasUnboundedQuantifier(body)) {
+    risks.push({
+      complexity: 'exponential',
+      message: `Nested quantifiers may cause exponential backtracking: ${item.source}`
+    });
+
+    return;
+  }
+
+  const firstAtoms = body.branches.filter((items) => items.length).map((items) => items[0].atom);
+
+  for (let i = 0; i < firstAtoms.length; i++) {
+    for (let j = i + 1; j < firstAtoms.length; j++) {
+      if (canOverlap(firstAtoms[i], firstAtoms[j], flags)) {
+        risks.push({
+          complexity: 'exponential',
+          message: `Repeated alternatives that overlap may cause exponential backtracking: ${item.source}`
+        });
+
+        return;
+      }
+    }
+  }
+}
+
+function findSequenceRisks(items, index, flags, risks) {
+  const item = items[index];
+
+  for (let i = index + 1; i < items.length; i++) {
+    const other = items[i];
+
+    if (other.max === Infinity && canOverlap(item.atom, other.atom, flags)) {
+      const sources = `${item.source} and ${other.source}`;
+
+      risks.push({
+        complexity: 'polynomial',
+        message: `Adjacent quantifiers that overlap may cause polynomial backtracking: ${sources}`
+      });
+
+      return;
+    }
+    if (other.min > 0) {
+      return;
+    }
+  }
+}
+
+function getProbes() {
+  if (!probes) {
+    probes = [ '\t', '\n', '\r', '\u00a0', '\u00e9', '\u03a9', '\u2028', '\u4e2d' ];
+
+    for (let code = 0x20; code < 0x7f; code++) {
+      probes.push(String.fromCharCode(code));
+    }
+  }
+
+  return probes;
+}
+
+function hasUnboundedQuantifier(alternation) {
+  return alternation.branches.some((items) => items.some((item) => {
+    if (item.atom.type === 'group' && !item.atom.lookaround && hasUnboundedQuantifier(item.atom.body)) {
+      return true;
+    }
+
+    return item.max === Infinity && item.atom.type !== 'assertion';
+  }));
+}
+
+function matchSticky(regExp, state) {
+  regExp.lastIndex = state.index;
+
+  const match = regExp.exec(state.source);
+  if (match) {
+    state.index = regExp.lastIndex;
+  }
+
+  return match;
+}
+
+function parseAlternation(state) {
+  const branches = [ parseSequence(state) ];
+
+  while (state.source[state.index] === '|') {
+    state.index++;
+
+    branches.push(parseSequence(state));
+  }
+
+  return { branches };
+}
+
+function parseAtom(state) {
+  const start = state.index;
+  const char = state.source[state.index];
+
+  switch (char) {
+  case '(': {
+    state.index++;
+
+    const prefix = matchSticky(GROUP_PREFIX, state);
+    const lookaround = prefix != null && /^\?<?[=!]$/.test(prefix[0]);
+    const body = parseAlternation(state);
+
+    // Skip the closing parenthesis
+    state.index++;
+
+    return { body, lookaround, type: 'group' };
+  }
+  case '[':
+    state.index++;
+
+    while (state.index < state.source.length && state.source[state.index] !== ']') {
+      state.index += state.source[state.index] === '\\' ? 2 : 1;
+    }
+
+    state.index++;
+
+    return { source: state.source.substring(start, state.index), type: 'char' };
+  case '\\': {
+    const escape = matchSticky(ESCAPE, state)[0];
+
+    if (/^\\[bB]$/.test(escape)) {
+      return { type: 'assertion' };
+    }
+    if (/^\\(?:[1-9]|k<)/.test(escape)) {
+      return { type: 'backreference' };
+    }
+
+    return { source: escape, type: 'char' };
+  }
+  case '^':
+  case '$':
+    state.index++;
+
+    return { type: 'assertion' };
+  default:
+    state.index++;
+
+    return { source: char, type: 'char' };
+  }
+}
+
+function parseQuantifier(state) {
+  const match = matchSticky(QUANTIFIER, state);
+
+  if (!match) {
+    return { max: 1, min: 1 };
+  }
+
+  switch (match[1]) {
+  case '*':
+    return { max: Infinity, min: 0 };
+  case '+':
+    return { max: Infinity, min: 1 };
+  case '?':
+    return { max: 1, min: 0 };
+  default: {
+    const min = Number(match[2]);
+
+    if (!match[3]) {
+      return { max: min, min };
+    }
+
+    return { max: match[4] ? Number(match[4]) : Infinity, min };
+  }
+  }
+}
+
+function parseSequence(state) {
+  const items = [];
+
+  while (state.index < state.source.length && state.source[state.index] !== '|' && state.source[state.index] !== ')') {
+    const start = state.index;
+    const atom = parseAtom(state);
+    const quantifier = parseQuantifier(state);
+
+    items.push(Object.assign({ atom, source: state.source.substring(start, state.index) }, quantifier));
+  }
+
+  return items;
+}
+
+module.exports = PatternAnalyzer;
+
+/**
+ * A construct within a regular expression that may cause excessive backtracking.
+ *
+ * @typedef {Object} PatternAnalyzer~Risk
+ * @property {string} complexity - The worst-case complexity of matching the construct; either
+ * <code>"exponential"</code> or <code>"polynomial"</code>.
+ * @property {string} message - The message describing the risk.
+ */
@@ -0,0 +1,269 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const _root = Symbol('root');
+const _source = Symbol('source');
+const _terms = Symbol('terms');
+
+const OPERATORS = [ 'AND', 'NOT', 'OR' ];
+
+const QUOTED = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'/;
+
+const TOKEN = new RegExp(`\\s*(?:([()])|(?:(dictionary|pattern):)?(?:${QUOTED.source}|([^\\s()"']+)))`, 'y');
+
+/**
+ * A query that combines patterns and dictionaries using boolean logic so that it can be evaluated over search results.
+ *
+ * Each term within a query is either a pattern or the name of a dictionary (when prefixed with
+ * <code>dictionary:</code>), which is satisfied when any of the search results being evaluated were found for that
+ * pattern or by that dictionary. Terms can be wrapped in single or double quotes if they contain whitespace,
+ * parentheses, or quotes, and can be combined using the <code>OR</code>, <code>AND</code>, and <code>NOT</code>
+ * operators (in order of increasing precedence) along with parentheses for grouping. For example;
+ *
+ * <pre>
+ * "TODO" AND NOT (ticket OR dictionary:tracked)
+ * </pre>
+ *
+ * Operators are case-sensitive so that lowercase words can still be used as terms. Terms can also be explicitly
+ * prefixed with <code>pattern:</code>.
+ *
+ * Every line (or file) is evaluated, including those without any search results. When a query is satisfied without any
+ * results for its terms (e.g. <code>NOT TODO</code>), the whole line is reported instead, as with the
+ * <code>invert</code> search option, or every line of the file when evaluated for each file.
+ *
+ * @public
+ */
+class Query {
+
+  /**
+   * Creates an instance of {@link Query} by parsing the specified <code>source</code>.
+   *
+   * An error will occur if <code>source</code> is not a valid query.
+   *
+   * @param {string} source - the source of the query to be parsed
+   * @throws {SyntaxError} If <code>source</code> is invalid.
+   * @public
+   */
+  constructor(source) {
+    const terms = [];
+
+    this[_root] = parse(String(source), terms);
+    this[_source] = String(source);
+    this[_terms] = terms;
+  }
+
+  /**
+   * Returns whether the specified search <code>result</code> was found for any of the terms within this {@link Query}.
+   *
+   * This can be used to determine which results are relevant to this {@link Query} once it has been satisfied.
+   *
+   * @param {Searcherer~Result} result - the search result to be checked
+   * @return {boolean} <code>true</code> if <code>result</code> matches any term; otherwise <code>false</code>.
+   * @public
+   */
+  matches(result) {
+    return this[_terms].some((term) => matchesTerm(term, result));
+  }
+
+  /**
+   * Evaluates this {@link Query} over the specified search <code>results</code>.
+   *
+   * @param {Searcherer~Result[]} results - the search results over which this {@link Query} is to be evaluated
+   * @return {boolean} <code>true</code> if <code>results</code> satisfy this {@link Query}; otherwise
+   * <code>false</code>.
+   * @public
+   */
+  test(results) {
+    return evaluate(this[_root], results);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  toString() {
+    return this[_source];
+  }
+
+  /**
+   * Returns the source from which this {@link Query} was parsed.
+   *
+   * @return {string} The source.
+   * @public
+   */
+  get source() {
+    return this[_source];
+  }
+
+}
+
+function evaluate(node, results) {
+  switch (node.type) {
+  case 'and':
+    return evaluate(node.left, results) && evaluate(node.right, results);
+  case 'not':
+    return !evaluate(node.operand, results);
+  case 'or':
+    return evaluate(node.left, results) || evaluate(node.right, results);
+  default:
+    return results.some((result) => matchesTerm(node, result));
+  }
+}
+
+function matchesTerm(term, result) {
+  if (term.field === 'dictionary') {
+    return result.dictionary != null && result.dictionary.name === term.value;
+  }
+
+  return result.pattern === term.value;
+}
+
+function isOperator(parser, operator) {
+  const token = parser.tokens[parser.index];
+
+  return token != null && token.operator === operator;
+}
+
+function parse(source, terms) {
+  const parser = { index: 0, terms, tokens: tokenize(source) };
+  const root = parseOr(parser);
+
+  if (parser.index < parser.tokens.length) {
+    throw unexpected(parser.tokens[parser.index]);
+  }
+
+  return root;
+}
+
+function parseAnd(parser) {
+  let node = parseNot(parser);
+
+  while (isOperator(parser, 'AND')) {
+    parser.index++;
+
+    node = { left: node, right: parseNot(parser), type: 'and' };
+  }
+
+  return node;
+}
+
+function parseNot(parser) {
+  if (isOperator(parser, 'NOT')) {
+    parser.index++;
+
+    return { operand: parseNot(parser), type: 'not' };
+  }
+
+  const token = parser.tokens[parser.index++];
+
+  if (token && token.operator === '(') {
+    const node = parseOr(parser);
+
+    if (!isOperator(parser, ')')) {
+      throw unexpected(parser.tokens[parser.index]);
+    }
+
+    parser.index++;
+
+    return node;
+  }
+  if (!token || token.operator) {
+    throw unexpected(token);
+  }
+
+  parser.terms.push(token.term);
+
+  return token.term;
+}
+
+function parseOr(parser) {
+  let node = parseAnd(parser);
+
+  while (isOperator(parser, 'OR')) {
+    parser.index++;
+
+    node = { left: node, right: parseAnd(parser), type: 'or' };
+  }
+
+  return node;
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < source.length) {
+    TOKEN.lastIndex = index;
+
+    const match = TOKEN.exec(source);
+    if (!match) {
+      const remainder = source.substring(index);
+      if (!remainder.trim()) {
+        break;
+      }
+
+      // Only an unterminated quote can fail to match as anything else is a word
+      throw new SyntaxError(`Invalid query: unterminated quote at position ${index + remainder.search(/\S/)}`);
+    }
+
+    const [ text, parenthesis, field, doubleQuoted, singleQuoted, word ] = match;
+    const position = index + text.search(/\S/);
+
+    index = TOKEN.lastIndex;
+
+    if (parenthesis) {
+      tokens.push({ operator: parenthesis, position, text: parenthesis });
+    } else if (!field && OPERATORS.includes(word)) {
+      tokens.push({ operator: word, position, text: word });
+    } else {
+      let value = word;
+      if (value == null) {
+        value = (doubleQuoted != null ? doubleQuoted : singleQuoted).replace(/\\(.)/g, '$1');
+      }
+
+      tokens.push({ position, term: { field: field || 'pattern', type: 'term', value }, text: text.trim() });
+    }
+  }
+
+  return tokens;
+}
+
+function unexpected(token) {
+  const found = token ? `"${token.text}" at position ${token.position}` : 'end of query';
+
+  return new SyntaxError(`Invalid query: unexpected ${found}`);
+}
+
+/**
+ * The scopes at which a {@link Query} can be evaluated over search results.
+ *
+ * <code>"line"</code> evaluates the query over the results on each line separately whereas <code>"file"</code>
+ * evaluates it once over all of the results within the whole string (or file) being searched.
+ *
+ * @public
+ * @type {string[]}
+ */
+Query.SCOPES = [ 'line', 'file' ];
+
+module.exports = Query;
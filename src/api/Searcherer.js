@@ -31,15 +31,38 @@ const path = require('path');
 const pluralize = require('pluralize');
 const util = require('util');
 
+const ColumnCounter = require('./ColumnCounter');
 const Dictionary = require('./Dictionary');
+const DictionaryParser = require('./parser');
+const engines = require('./engine');
+const FileFinder = require('./FileFinder');
+const Normalizer = require('./Normalizer');
+const PatternAnalyzer = require('./PatternAnalyzer');
+const Query = require('./Query');
+const StreamSearch = require('./StreamSearch');
+const ValidationError = require('./ValidationError');
+const WorkerPool = require('./WorkerPool');
 
 const readFile = util.promisify(fs.readFile);
+const writeFile = util.promisify(fs.writeFile);
 
 const _addDictionaryFile = Symbol('addDictionaryFile');
+const _addResult = Symbol('addResult');
+const _assertValid = Symbol('assertValid');
 const _dictionaries = Symbol('dictionaries');
 const _dictionaryType = Symbol('dictionaryType');
+const _emitWarning = Symbol('emitWarning');
+const _endFile = Symbol('endFile');
+const _filterDictionaries = Symbol('filterDictionaries');
+const _replaceFile = Symbol('replaceFile');
+const _search = Symbol('search');
+const _searchContext = Symbol('searchContext');
 const _searchFile = Symbol('searchFile');
+const _searchFiles = Symbol('searchFiles');
+const _searchFilesInWorkers = Symbol('searchFilesInWorkers');
 const _searchLine = Symbol('searchLine');
+const _searchStream = Symbol('searchStream');
+const _startFile = Symbol('startFile');
 
 /**
  * Can search a string or file for patterns, treated as regular expressions.
@@ -123,6 +146,58 @@ class Searcherer extends EventEmitter {
     return searcherer.searchFileSync(filePath, options);
   }
 
+  /**
+   * Searches the contents that are read from the files found using the specified file, directory, and/or glob
+   * <code>patterns</code> for the patterns within the specified <code>dictionary</code> using the <code>options</code>
+   * provided, potentially in parallel.
+   *
+   * <code>dictionary</code> can either be a {@link Dictionary} instance or one or more of search patterns from which a
+   * {@link Dictionary} instance can be created.
+   *
+   * The <code>jobs</code> option can be used to specify how many files can be searched in parallel.
+   *
+   * An error will occur if any of the files cannot be read.
+   *
+   * @param {string|string[]} patterns - the file, directory, and/or glob pattern(s) for the files whose contents are to
+   * be searched
+   * @param {Dictionary|string|string[]} dictionary - the {@link Dictionary} to be used or the search pattern(s) to be
+   * used to create it
+   * @param {Searcherer~SearchFilesOptions} [options] - the options to be used
+   * @return {StreamSearch} A {@link StreamSearch} that is resolved with the search results for each file, in the order
+   * in which the files were found, and which can be iterated over asynchronously to consume the search results for
+   * each file as soon as it has been searched.
+   * @see {@link Searcherer#searchFiles}
+   * @public
+   */
+  static searchFiles(patterns, dictionary, options = {}) {
+    const searcherer = new Searcherer({ dictionary });
+    return searcherer.searchFiles(patterns, options);
+  }
+
+  /**
+   * Searches the contents that are incrementally read from the specified <code>readable</code> stream for the patterns
+   * within the specified <code>dictionary</code> using the <code>options</code> provided.
+   *
+   * <code>dictionary</code> can either be a {@link Dictionary} instance or one or more of search patterns from which a
+   * {@link Dictionary} instance can be created.
+   *
+   * The <code>encoding</code> option can be used to specify how the contents of the stream are encoded.
+   *
+   * An error will occur if the stream emits an error.
+   *
+   * @param {Readable} readable - the stream whose contents are to be searched
+   * @param {Dictionary|string|string[]} dictionary - the {@link Dictionary} to be used or the search pattern(s) to be
+   * used to create it
+   * @param {Searcherer~SearchFileOptions} [options] - the options to be used
+   * @return {StreamSearch} A {@link StreamSearch} that is resolved with the search results and which can be iterated
+   * over asynchronously to consume each search result as soon as it's found.
+   * @public
+   */
+  static searchStream(readable, dictionary, options = {}) {
+    const searcherer = new Searcherer({ dictionary });
+    return searcherer.searchStream(readable, options);
+  }
+
   /**
    * Creates an instance of {@link Searcherer} using the <code>options</code> provided.
    *
@@ -154,6 +229,7 @@ class Searcherer extends EventEmitter {
    * used to create it
    * @return {Dictionary} A reference to <code>dictionary</code> if it's an instance of {@link Dictionary}; otherwise
    * the instance created based on <code>dictionary</code>.
+   * @fires Searcherer#change
    * @public
    */
   addDictionary(dictionary) {
@@ -162,7 +238,23 @@ class Searcherer extends EventEmitter {
       dictionary = new DictionaryImpl({ patterns: dictionary });
     }
 
-    this[_dictionaries].add(dictionary);
+    if (!this[_dictionaries].has(dictionary)) {
+      this[_dictionaries].add(dictionary);
+
+      /**
+       * The "change" event is fired immediately after a dictionary has been added to or removed from the
+       * {@link Searcherer}.
+       *
+       * Changes to the patterns within each dictionary are instead fired by the dictionary itself (see
+       * {@link Dictionary#event:change}).
+       *
+       * @event Searcherer#change
+       * @type {Object}
+       * @property {Dictionary} dictionary - The dictionary that was added or removed.
+       * @property {string} type - The type of change; either <code>"add"</code> or <code>"remove"</code>.
+       */
+      this.emit('change', { dictionary, type: 'add' });
+    }
 
     return dictionary;
   }
@@ -171,15 +263,17 @@ class Searcherer extends EventEmitter {
    * Parses a {@link Dictionary} from the contents that are asynchronously read from the file at the specified path and
    * adds it to this {@link Searcherer}.
    *
-   * This method assumes that the contents of the file are UTF-8 encoded.
+   * This method assumes that the contents of the file are UTF-8 encoded. The format of the file is determined by its
+   * extension, which is used to find the {@link DictionaryParser} to parse its contents, with files whose extension
+   * has no registered parser being parsed as JSON.
    *
-   * An error will occur if the file cannot be read or contains invalid JSON.
+   * An error will occur if the file cannot be read or parsed.
    *
    * @param {string} filePath - the path of the file whose contents are to be read and parsed into a {@link Dictionary}
    * and then added
    * @return {Promise.<?Dictionary, Error>} A <code>Promise</code> for the asynchronous file reading that is resolved
    * with the parsed {@link Dictionary} or <code>null</code> if the file contained no data.
-   * @see {@link Dictionary.parse}
+   * @see {@link DictionaryParser.findParser}
    * @see {@link Searcherer#addDictionaryFileSync}
    * @public
    */
@@ -195,15 +289,17 @@ class Searcherer extends EventEmitter {
    * Parses a {@link Dictionary} from the contents that are synchronously read from the file at the specified path and
    * adds it to this {@link Searcherer}.
    *
-   * This method assumes that the contents of the file are UTF-8 encoded.
+   * This method assumes that the contents of the file are UTF-8 encoded. The format of the file is determined by its
+   * extension, which is used to find the {@link DictionaryParser} to parse its contents, with files whose extension
+   * has no registered parser being parsed as JSON.
    *
-   * An error will occur if the file cannot be read or contains invalid JSON.
+   * An error will occur if the file cannot be read or parsed.
    *
    * @param {string} filePath - the path of the file whose contents are to be read and parsed into a {@link Dictionary}
    * and then added
    * @return {?Dictionary} The parsed {@link Dictionary} or <code>null</code> if the file contained no data.
-   * @throws {Error} If the file cannot be read or contains invalid JSON.
-   * @see {@link Dictionary.parse}
+   * @throws {Error} If the file cannot be read or parsed.
+   * @see {@link DictionaryParser.findParser}
    * @see {@link Searcherer#addDictionaryFile}
    * @public
    */
@@ -215,6 +311,25 @@ class Searcherer extends EventEmitter {
     return this[_addDictionaryFile](data, filePath);
   }
 
+  /**
+   * Returns the number of matches within the specified <code>value</code> for the patterns across all of the
+   * dictionaries within this {@link Searcherer} using the <code>options</code> provided.
+   *
+   * The <code>limit</code> option can be used to stop counting once that many matches have been found.
+   *
+   * @param {?string} value - the value to be searched (may be <code>null</code>)
+   * @param {Searcherer~SearchOptions} [options] - the options to be used
+   * @return {number} The number of matches.
+   * @see {@link Searcherer#search}
+   * @fires Searcherer#end
+   * @fires Searcherer#result
+   * @fires Searcherer#search
+   * @public
+   */
+  count(value, options = {}) {
+    return this.search(value, options).length;
+  }
+
   /**
    * Finds the {@link Dictionary} whose name matches the specified <code>name</code> within this {@link Searcherer}.
    *
@@ -252,56 +367,208 @@ class Searcherer extends EventEmitter {
   }
 
   /**
-   * Searches the specified <code>value</code> for the patterns across all of the dictionaries within this
-   * {@link Searcherer} using the <code>options</code> provided.
+   * Removes the specified <code>dictionary</code> from this {@link Searcherer}.
    *
-   * The <code>filter</code> option can be used to control which dictionaries will have their patterns included in the
-   * search.
+   * <code>dictionary</code> can either be a {@link Dictionary} instance or the name of one.
    *
-   * @param {?string} value - the value to be searched (may be <code>null</code>)
+   * @param {Dictionary|string} dictionary - the {@link Dictionary} to be removed or its name
+   * @return {boolean} <code>true</code> if <code>dictionary</code> was found and has been removed; otherwise
+   * <code>false</code>.
+   * @fires Searcherer#change
+   * @public
+   */
+  removeDictionary(dictionary) {
+    if (typeof dictionary === 'string') {
+      dictionary = this.findDictionary(dictionary);
+    }
+
+    if (!dictionary || !this[_dictionaries].delete(dictionary)) {
+      return false;
+    }
+
+    this.emit('change', { dictionary, type: 'remove' });
+
+    return true;
+  }
+
+  /**
+   * Replaces matches within the specified <code>value</code> for the patterns across all of the dictionaries within
+   * this {@link Searcherer} using the <code>replacements</code> and <code>options</code> provided.
+   *
+   * Matches are only replaced for patterns which have a replacement. <code>replacements</code> can be used to map
+   * patterns to replacements, which take precedence over any <code>replacement</code> option for those patterns within
+   * their dictionaries. Replacements can contain the same special replacement patterns as <code>String#replace</code>
+   * (e.g. <code>$1</code> to insert the first capture group).
+   *
+   * Where matches overlap, only the first match is replaced.
+   *
+   * @param {?string} value - the value in which matches are to be replaced (may be <code>null</code>)
+   * @param {Map.<string, string>|Object.<string, string>} [replacements] - the replacements mapped to patterns
    * @param {Searcherer~SearchOptions} [options] - the options to be used
-   * @return {Searcherer~Result[]} The search results.
+   * @return {Searcherer~ReplaceResult} The result of the replacement.
    * @fires Searcherer#end
    * @fires Searcherer#result
    * @fires Searcherer#search
    * @public
    */
-  search(value, options = {}) {
+  replace(value, replacements = {}, options = {}) {
     if (!value) {
-      return [];
+      return { results: [], value };
     }
 
-    debug('Searching value with %d %s using options: %o', value.length, pluralize('character', value.length), options);
+    const lineOffsets = getLineOffsets(value);
+    const edits = [];
 
-    /**
-     * The "search" event is fired immediately before the value is searched.
-     *
-     * @event Searcherer#search
-     * @type {Object}
-     * @property {Searcherer~SearchOptions} options - The options being used throughout the search.
-     * @property {string} value - The value being searched.
-     */
-    this.emit('search', { options, value });
+    for (const result of this.search(value, options)) {
+      const replacement = getReplacement(result, replacements);
+      if (replacement == null) {
+        continue;
+      }
+
+      const index = result.offset;
+      const input = options.multiline ? value : result.line;
+      const inputIndex = options.multiline ? index : index - lineOffsets[result.lineNumber];
+
+      if (typeof result.dictionary.createReplacement === 'function') {
+        result.replacement = result.dictionary.createReplacement(result, replacement, input, inputIndex, options);
+      } else {
+        result.replacement = replacement;
+      }
+
+      edits.push({ index, result });
+    }
+
+    edits.sort((a, b) => a.index - b.index);
 
-    const lines = value.split(/\r\n?|\n/g);
     const results = [];
+    let lastIndex = 0;
+    let replaced = '';
 
-    lines.forEach((line, lineNumber) => this[_searchLine]({ lineNumber, line, lines, options, results, value }));
+    for (const { index, result } of edits) {
+      if (index < lastIndex) {
+        debug('Skipping overlapping replacement on line %d: %o', result.lineNumber, result);
 
-    /**
-     * The "end" event is fired once the search has completed.
-     *
-     * @event Searcherer#end
-     * @type {Object}
-     * @property {Searcherer~SearchOptions} options - The options that were used throughout the search.
-     * @property {Searcherer~Result[]} results - The search results.
-     * @property {string} value - The value that was searched.
-     */
-    this.emit('end', { options, results, value });
+        continue;
+      }
 
-    debug('%d %s found!', results.length, pluralize('result', results.length));
+      replaced += `${value.substring(lastIndex, index)}${result.replacement}`;
+      lastIndex = index + result.match.length;
 
-    return results;
+      results.push(result);
+    }
+
+    replaced += value.substring(lastIndex);
+
+    debug('%d %s replaced!', results.length, pluralize('result', results.length));
+
+    return { results, value: replaced };
+  }
+
+  /**
+   * Replaces matches within the contents that are asynchronously read from the file at the specified path for the
+   * patterns across all of the dictionaries within this {@link Searcherer} using the <code>replacements</code> and
+   * <code>options</code> provided and then asynchronously writes the new contents back to the file.
+   *
+   * The <code>encoding</code> option can be used to specify how the contents of the file are encoded and the new
+   * contents are written using the same encoding, preserving any byte order mark. The file is only written if any
+   * matches were replaced and the <code>dryRun</code> option is not enabled.
+   *
+   * An error will occur if the file cannot be read or written.
+   *
+   * @param {string} filePath - the path of the file whose contents are to have matches replaced
+   * @param {Map.<string, string>|Object.<string, string>} [replacements] - the replacements mapped to patterns
+   * @param {Searcherer~ReplaceFileOptions} [options] - the options to be used
+   * @return {Promise.<Searcherer~ReplaceResult, Error>} A <code>Promise</code> for the asynchronous file reading and
+   * writing that is resolved with the result of the replacement.
+   * @see {@link Searcherer#replace}
+   * @see {@link Searcherer#replaceFileSync}
+   * @fires Searcherer#end
+   * @fires Searcherer#result
+   * @fires Searcherer#search
+   * @public
+   */
+  async replaceFile(filePath, replacements = {}, options = {}) {
+    debug('Replacing in file: %s', chalk.blue(filePath));
+
+    const buffer = await readFile(filePath);
+    const { data, result } = this[_replaceFile](buffer, replacements, options);
+
+    if (data) {
+      debug('Writing file: %s', chalk.blue(filePath));
+
+      await writeFile(filePath, data);
+    }
+
+    return result;
+  }
+
+  /**
+   * Replaces matches within the contents that are synchronously read from the file at the specified path for the
+   * patterns across all of the dictionaries within this {@link Searcherer} using the <code>replacements</code> and
+   * <code>options</code> provided and then synchronously writes the new contents back to the file.
+   *
+   * The <code>encoding</code> option can be used to specify how the contents of the file are encoded and the new
+   * contents are written using the same encoding, preserving any byte order mark. The file is only written if any
+   * matches were replaced and the <code>dryRun</code> option is not enabled.
+   *
+   * An error will occur if the file cannot be read or written.
+   *
+   * @param {string} filePath - the path of the file whose contents are to have matches replaced
+   * @param {Map.<string, string>|Object.<string, string>} [replacements] - the replacements mapped to patterns
+   * @param {Searcherer~ReplaceFileOptions} [options] - the options to be used
+   * @return {Searcherer~ReplaceResult} The result of the replacement.
+   * @throws {Error} If the file cannot be read or written.
+   * @see {@link Searcherer#replace}
+   * @see {@link Searcherer#replaceFile}
+   * @fires Searcherer#end
+   * @fires Searcherer#result
+   * @fires Searcherer#search
+   * @public
+   */
+  replaceFileSync(filePath, replacements = {}, options = {}) {
+    debug('Replacing in file: %s', chalk.blue(filePath));
+
+    const buffer = fs.readFileSync(filePath);
+    const { data, result } = this[_replaceFile](buffer, replacements, options);
+
+    if (data) {
+      debug('Writing file: %s', chalk.blue(filePath));
+
+      fs.writeFileSync(filePath, data);
+    }
+
+    return result;
+  }
+
+  /**
+   * Searches the specified <code>value</code> for the patterns across all of the dictionaries within this
+   * {@link Searcherer} using the <code>options</code> provided.
+   *
+   * The <code>filter</code> option can be used to control which dictionaries will have their patterns included in the
+   * search.
+   *
+   * By default, <code>value</code> is searched line-by-line. The <code>multiline</code> option can be enabled to search
+   * the whole of <code>value</code> at once so that patterns can match across multiple lines.
+   *
+   * The <code>limit</code> option can be used to stop searching once that many results have been found.
+   *
+   * The <code>query</code> option can be used to only find results on lines (or within the whole of <code>value</code>,
+   * depending on the <code>queryScope</code> option) that satisfy a combination of patterns and dictionaries, while the
+   * <code>invert</code> option can be enabled to find lines that do not contain any matches instead.
+   *
+   * An error will occur if any of the dictionaries being searched contain problems (see {@link Searcherer#validate}).
+   *
+   * @param {?string} value - the value to be searched (may be <code>null</code>)
+   * @param {Searcherer~SearchOptions} [options] - the options to be used
+   * @return {Searcherer~Result[]} The search results.
+   * @throws {ValidationError} If any of the dictionaries being searched contain problems.
+   * @fires Searcherer#end
+   * @fires Searcherer#result
+   * @fires Searcherer#search
+   * @public
+   */
+  search(value, options = {}) {
+    return this[_search](value, options, 0);
   }
 
   /**
@@ -357,11 +624,165 @@ class Searcherer extends EventEmitter {
   searchFileSync(filePath, options = {}) {
     debug('Searching file: %s', chalk.blue(filePath));
 
-    const buffer = fs.readFile(filePath);
+    const buffer = fs.readFileSync(filePath);
 
     return this[_searchFile](buffer, options);
   }
 
+  /**
+   * Searches the contents that are read from the files found using the specified file, directory, and/or glob
+   * <code>patterns</code> for the patterns across all of the dictionaries within this {@link Searcherer} using the
+   * <code>options</code> provided, potentially in parallel.
+   *
+   * The files are found using a {@link FileFinder}, so directories are walked recursively, respecting any rules found
+   * within ignore files along the way, and binary files are skipped. The <code>baseDir</code>, <code>binary</code>,
+   * <code>exclude</code>, <code>ignoreFiles</code>, and <code>include</code> options can be used to control which files
+   * are found. Paths to files that do not exist are treated as glob patterns and so do not cause an error.
+   *
+   * The <code>file:start</code> and <code>file:end</code> events are fired on this {@link Searcherer} before and after
+   * each file is searched respectively.
+   *
+   * The <code>jobs</code> option can be used to specify how many files can be searched in parallel. When greater than
+   * one, the files are distributed across a pool of worker threads, each of which searches using copies of the
+   * dictionaries. The results for each file are still reported in the order in which the files were found and the
+   * <code>file:start</code>, <code>result</code>, and <code>file:end</code> events are fired on this {@link Searcherer}
+   * for each of them in that order as they are reported, however, the <code>search</code> and <code>end</code> events
+   * are not fired for individual files.
+   *
+   * The files are searched one at a time on the current thread instead if worker threads are not supported by the
+   * runtime or if any of the dictionaries cannot be copied to a worker (i.e. if it's not a {@link Dictionary} instance
+   * using one of the built-in engines).
+   *
+   * The <code>encoding</code> option can be used to specify how the contents of the files are encoded.
+   *
+   * The <code>filter</code> option can be used to control which dictionaries will have their patterns included in the
+   * search.
+   *
+   * An error will occur if any of the files cannot be read.
+   *
+   * @param {string|string[]} patterns - the file, directory, and/or glob pattern(s) for the files whose contents are to
+   * be searched
+   * @param {Searcherer~SearchFilesOptions} [options] - the options to be used
+   * @return {StreamSearch} A {@link StreamSearch} that is resolved with the search results for each file, in the order
+   * in which the files were found, and which can be iterated over asynchronously to consume the search results for
+   * each file as soon as it has been searched.
+   * @see {@link FileFinder#find}
+   * @fires Searcherer#file:end
+   * @fires Searcherer#file:start
+   * @fires Searcherer#result
+   * @public
+   */
+  searchFiles(patterns, options = {}) {
+    debug('Searching files: %o', patterns);
+
+    return new StreamSearch((push) => this[_searchFiles]([].concat(patterns), options, push));
+  }
+
+  /**
+   * Searches the specified <code>value</code> for the patterns across all of the dictionaries within this
+   * {@link Searcherer} using the <code>options</code> provided and returns only the first search result.
+   *
+   * The search stops as soon as the first match is found, making this cheaper than {@link Searcherer#search} when only
+   * a single match is of interest.
+   *
+   * This method will return <code>null</code> if no match could be found.
+   *
+   * @param {?string} value - the value to be searched (may be <code>null</code>)
+   * @param {Searcherer~SearchOptions} [options] - the options to be used
+   * @return {?Searcherer~Result} The first search result or <code>null</code> if there were none.
+   * @see {@link Searcherer#search}
+   * @fires Searcherer#end
+   * @fires Searcherer#result
+   * @fires Searcherer#search
+   * @public
+   */
+  searchFirst(value, options = {}) {
+    const [ result ] = this.search(value, Object.assign({}, options, { limit: 1 }));
+
+    return result || null;
+  }
+
+  /**
+   * Searches the contents that are incrementally read from the specified <code>readable</code> stream for the patterns
+   * across all of the dictionaries within this {@link Searcherer} using the <code>options</code> provided.
+   *
+   * The contents are decoded and searched line-by-line as they are read so the whole of the stream never needs to be
+   * held in memory, making this ideal for searching large files and pipes. The <code>result</code> event is fired as
+   * soon as each search result is found.
+   *
+   * The <code>encoding</code> option can be used to specify how the contents of the stream are encoded.
+   *
+   * The <code>filter</code> option can be used to control which dictionaries will have their patterns included in the
+   * search.
+   *
+   * If the <code>multiline</code> option is enabled, the whole of the stream is read before being searched as patterns
+   * may match across multiple lines.
+   *
+   * The <code>limit</code> option can be used to stop searching once that many results have been found, in which case
+   * the rest of the stream is not read and it is destroyed.
+   *
+   * An error will occur if the stream emits an error.
+   *
+   * @param {Readable} readable - the stream whose contents are to be searched
+   * @param {Searcherer~SearchFileOptions} [options] - the options to be used
+   * @return {StreamSearch} A {@link StreamSearch} that is resolved with the search results and which can be iterated
+   * over asynchronously to consume each search result as soon as it's found.
+   * @fires Searcherer#end
+   * @fires Searcherer#result
+   * @fires Searcherer#search
+   * @public
+   */
+  searchStream(readable, options = {}) {
+    debug('Searching stream');
+
+    return new StreamSearch((push) => this[_searchStream](readable, options, push));
+  }
+
+  /**
+   * Returns whether the specified <code>value</code> contains a match for any of the patterns across all of the
+   * dictionaries within this {@link Searcherer} using the <code>options</code> provided.
+   *
+   * The search stops as soon as the first match is found.
+   *
+   * @param {?string} value - the value to be searched (may be <code>null</code>)
+   * @param {Searcherer~SearchOptions} [options] - the options to be used
+   * @return {boolean} <code>true</code> if <code>value</code> contains a match; otherwise <code>false</code>.
+   * @see {@link Searcherer#searchFirst}
+   * @fires Searcherer#end
+   * @fires Searcherer#result
+   * @fires Searcherer#search
+   * @public
+   */
+  test(value, options = {}) {
+    return this.searchFirst(value, options) != null;
+  }
+
+  /**
+   * Validates the patterns across all of the dictionaries within this {@link Searcherer} and returns any problems that
+   * were found.
+   *
+   * The <code>filter</code> option can be used to control which dictionaries are validated.
+   *
+   * The dictionaries are always validated before they are searched, with a {@link ValidationError} being thrown if any
+   * errors are found, so this is primarily useful for reporting every problem, including warnings, ahead of time.
+   *
+   * @param {Searcherer~SearchOptions} [options] - the options to be used (only <code>filter</code> applies)
+   * @return {Dictionary~Problem[]} The problems found, if any.
+   * @see {@link Dictionary#validate}
+   * @public
+   */
+  validate(options = {}) {
+    const problems = [];
+
+    for (const dictionary of this[_filterDictionaries](options)) {
+      if (typeof dictionary.validate === 'function') {
+        problems.push(...dictionary.validate());
+      }
+    }
+
+    return problems;
+  }
+
   /**
    * Returns a copy of all of the {@link Dictionary} instances within this {@link Searcherer}.
    *
@@ -373,7 +794,15 @@ class Searcherer extends EventEmitter {
   }
 
   [_addDictionaryFile](data, filePath) {
-    const dictionary = this.parseDictionary(data, { name: path.basename(filePath) });
+    const defaults = { filePath, name: path.basename(filePath) };
+    const parser = DictionaryParser.findParser(filePath);
+    let dictionary;
+
+    if (parser) {
+      dictionary = parser.parse(data, { defaults, dictionaryType: this[_dictionaryType], filePath });
+    } else {
+      dictionary = this.parseDictionary(data, defaults);
+    }
 
     if (dictionary) {
       debug('Adding "%s" dictionary from file: %s', dictionary.name, chalk.blue(filePath));
@@ -386,47 +815,793 @@ class Searcherer extends EventEmitter {
     return dictionary;
   }
 
-  [_searchFile](buffer, options) {
-    const value = iconv.decode(buffer, options.encoding || 'utf8');
+  [_addResult](result, results) {
+    results.push(result);
 
-    return this.search(value, options);
+    /**
+     * The "result" event is fired immediately when a search result is found.
+     *
+     * If context lines are being included while searching a stream, this is fired as soon as all of the context lines
+     * following the match have been read.
+     *
+     * @event Searcherer#result
+     * @type {Object}
+     * @property {Searcherer~Result} result - The search result.
+     */
+    this.emit('result', { result });
   }
 
-  [_searchLine](context) {
-    debug('Searching line %d/%d: %s', context.lineNumber, context.lines.length, context.line);
+  [_assertValid](options) {
+    const problems = this.validate(options).filter((problem) => problem.severity === 'error');
 
-    let dictionaries = this[_dictionaries];
-    const filter = context.options.filter;
-
-    if (typeof filter === 'function') {
-      dictionaries = dictionaries.filter((dictionary) => filter(dictionary));
+    if (problems.length) {
+      throw new ValidationError(problems);
     }
+  }
 
-    for (const dictionary of dictionaries) {
-      debug('Searching line %d with "%s" dictionary', context.lineNumber, dictionary.name);
+  [_emitWarning](warning) {
+    /**
+     * The "warning" event is fired when a problem is encountered that does not stop the search, such as a pattern that
+     * timed out.
+     *
+     * @event Searcherer#warning
+     * @type {Object}
+     * @property {Searcherer~Warning} warning - The warning.
+     */
+    this.emit('warning', { warning });
+  }
 
-      for (const result of dictionary.search(context)) {
-        debug('Found result on line %d: %o', context.lineNumber, result);
+  [_endFile](fileResults, options, push) {
+    /**
+     * The "file:end" event is fired once a file has been searched while searching multiple files.
+     *
+     * @event Searcherer#file:end
+     * @type {Object}
+     * @property {string} filePath - The path of the file that was searched.
+     * @property {Searcherer~SearchFilesOptions} options - The options that were used throughout the search.
+     * @property {Searcherer~Result[]} results - The search results for the file.
+     * @property {Searcherer~Warning[]} warnings - The warnings encountered while searching the file.
+     */
+    this.emit('file:end', Object.assign({ options }, fileResults));
 
-        context.results.push(result);
+    push(fileResults);
 
-        /**
-         * The "result" event is fired immediately when a search result is found.
-         *
-         * @event Searcherer#result
-         * @type {Object}
-         * @property {Searcherer~Result} result - The search result.
-         */
-        this.emit('result', { result });
-      }
-    }
+    return fileResults;
   }
 
-}
+  [_filterDictionaries](options) {
+    const dictionaries = Array.from(this[_dictionaries]);
 
-Searcherer.Dictionary = Dictionary;
+    if (typeof options.filter === 'function') {
+      return dictionaries.filter((dictionary) => options.filter(dictionary));
+    }
 
-module.exports = Searcherer;
+    return dictionaries;
+  }
+
+  [_replaceFile](buffer, replacements, options) {
+    const encoding = options.encoding || 'utf8';
+    let value = iconv.decode(buffer, encoding, { stripBOM: false });
+    const bom = value[0] === '\ufeff';
+
+    if (bom) {
+      value = value.substring(1);
+    }
+
+    const result = this.replace(value, replacements, options);
+    result.original = value;
+
+    if (!result.results.length || options.dryRun) {
+      return { data: null, result };
+    }
+
+    return {
+      data: iconv.encode(result.value, encoding, { addBOM: bom }),
+      result
+    };
+  }
+
+  [_search](value, options, byteOffset) {
+    if (!value) {
+      return [];
+    }
+
+    this[_assertValid](options);
+
+    debug('Searching value with %d %s using options: %o', value.length, pluralize('character', value.length), options);
+
+    /**
+     * The "search" event is fired immediately before the value is searched.
+     *
+     * @event Searcherer#search
+     * @type {Object}
+     * @property {Searcherer~SearchOptions} options - The options being used throughout the search.
+     * @property {Readable} [stream] - The stream being searched. Only present when searching a stream line-by-line.
+     * @property {string} [value] - The value being searched. Not present when searching a stream line-by-line.
+     */
+    this.emit('search', { options, value });
+
+    const query = createQuery(options);
+    const selective = query != null || Boolean(options.invert);
+    const lineOffsets = getLineOffsets(value);
+    const lines = value.split(/\r\n?|\n/g);
+    const results = [];
+    const getByteOffset = createByteCounter(value, lineOffsets, options.encoding, byteOffset);
+    const addResults = (found) => {
+      for (const result of found) {
+        result.byteOffset = getByteOffset(result);
+
+        addContextLines(result, lines, options);
+
+        this[_addResult](result, results);
+      }
+    };
+
+    if (options.multiline || isFileScoped(query, options)) {
+      let found;
+
+      if (options.multiline) {
+        const limit = selective ? Infinity : getRemaining(options, 0);
+
+        found = this[_searchContext]({ lineOffsets, lines, options, results, value }, limit);
+      } else {
+        found = [];
+
+        lines.forEach((line, lineNumber) => {
+          const offset = lineOffsets[lineNumber];
+
+          found.push(...this[_searchContext]({ lineNumber, line, lines, offset, options, results, value }, Infinity));
+        });
+      }
+
+      const filtered = filterResults(found, query, options.queryScope);
+      const satisfied = query ? findSatisfiedLines(found, query, lines, lineOffsets, options) : [];
+
+      found = satisfied.length ? filtered.concat(satisfied).sort((a, b) => a.offset - b.offset) : filtered;
+
+      if (options.invert) {
+        found = invertResults(found, lines, lineOffsets, options);
+      }
+
+      addResults(found.slice(0, getRemaining(options, 0)));
+    } else {
+      for (let lineNumber = 0; lineNumber < lines.length; lineNumber++) {
+        const remaining = getRemaining(options, results.length);
+        if (!remaining) {
+          debug('Limit reached so skipping remaining lines');
+
+          break;
+        }
+        if (selective && isTrailingLine(lines, lineNumber)) {
+          break;
+        }
+
+        const line = lines[lineNumber];
+        const offset = lineOffsets[lineNumber];
+
+        addResults(this[_searchLine]({ lineNumber, line, lines, offset, options, results, value }, query, remaining));
+      }
+    }
+
+    /**
+     * The "end" event is fired once the search has completed.
+     *
+     * @event Searcherer#end
+     * @type {Object}
+     * @property {Searcherer~SearchOptions} options - The options that were used throughout the search.
+     * @property {Searcherer~Result[]} results - The search results.
+     * @property {Readable} [stream] - The stream that was searched. Only present when searching a stream line-by-line.
+     * @property {string} [value] - The value that was searched. Not present when searching a stream line-by-line.
+     */
+    this.emit('end', { options, results, value });
+
+    debug('%d %s found!', results.length, pluralize('result', results.length));
+
+    return results;
+  }
+
+  [_searchContext](context, limit) {
+    const multiline = Boolean(context.options.multiline);
+
+    if (multiline) {
+      debug('Searching %d %s as a whole', context.lines.length, pluralize('line', context.lines.length));
+    } else {
+      debug('Searching line %d: %s', context.lineNumber, context.line);
+    }
+
+    const dictionaries = this[_filterDictionaries](context.options);
+    const results = [];
+
+    context.warnings = [];
+
+    try {
+      for (const dictionary of dictionaries) {
+        if (!multiline) {
+          debug('Searching line %d with "%s" dictionary', context.lineNumber, dictionary.name);
+        }
+
+        for (const result of dictionary.search(context)) {
+          debug('Found result on line %d: %o', result.lineNumber, result);
+
+          results.push(result);
+
+          if (results.length >= limit) {
+            return results;
+          }
+        }
+      }
+    } finally {
+      for (const warning of context.warnings) {
+        this[_emitWarning](warning);
+      }
+    }
+
+    return results;
+  }
+
+  [_searchFile](buffer, options) {
+    const encoding = options.encoding || 'utf8';
+    let value = iconv.decode(buffer, encoding, { stripBOM: false });
+    let byteOffset = 0;
+
+    if (value[0] === '\ufeff') {
+      byteOffset = getByteLength(value[0], encoding);
+      value = value.substring(1);
+    }
+
+    return this[_search](value, options, byteOffset);
+  }
+
+  async [_searchFiles](patterns, options, push) {
+    const dictionaries = this[_filterDictionaries](options);
+
+    this[_assertValid](options);
+
+    const fileFinder = new FileFinder({
+      baseDir: options.baseDir,
+      binary: options.binary,
+      encoding: options.encoding,
+      exclude: options.exclude,
+      ignoreFiles: options.ignoreFiles,
+      include: options.include
+    });
+    const filePaths = await fileFinder.find(patterns);
+    const jobs = Math.min(options.jobs || 1, filePaths.length);
+
+    if (jobs > 1 && WorkerPool.isSupported() && dictionaries.every(isSerializable)) {
+      return this[_searchFilesInWorkers](filePaths, dictionaries, jobs, options, push);
+    }
+
+    debug('Searching %d %s serially', filePaths.length, pluralize('file', filePaths.length));
+
+    const fileResults = [];
+
+    for (const filePath of filePaths) {
+      const warnings = [];
+      const onWarning = ({ warning }) => warnings.push(warning);
+      let results;
+
+      this[_startFile](filePath, options);
+
+      this.on('warning', onWarning);
+
+      try {
+        results = await this.searchFile(filePath, options);
+      } finally {
+        this.removeListener('warning', onWarning);
+      }
+
+      fileResults.push(this[_endFile]({ filePath, results, warnings }, options, push));
+    }
+
+    return fileResults;
+  }
+
+  async [_searchFilesInWorkers](filePaths, dictionaries, jobs, options, push) {
+    debug('Searching %d %s across %d workers', filePaths.length, pluralize('file', filePaths.length), jobs);
+
+    const workerOptions = Object.assign({}, options);
+    delete workerOptions.filter;
+
+    if (workerOptions.query != null) {
+      workerOptions.query = String(workerOptions.query);
+    }
+
+    const pool = new WorkerPool(jobs, {
+      dictionaries: dictionaries.map((dictionary) => ({ data: dictionary.toJSON(), engine: dictionary.engine.name })),
+      options: workerOptions
+    });
+
+    try {
+      const searches = filePaths.map((filePath) => pool.searchFile(filePath));
+      const fileResults = [];
+
+      // Prevent unhandled rejection warnings for searches that fail after an earlier one
+      searches.forEach((search) => search.catch(() => {}));
+
+      for (let i = 0; i < filePaths.length; i++) {
+        const search = await searches[i];
+        const results = [];
+        const warnings = [];
+
+        this[_startFile](filePaths[i], options);
+
+        for (const warning of search.warnings) {
+          warning.dictionary = dictionaries[warning.dictionary];
+          warnings.push(warning);
+
+          this[_emitWarning](warning);
+        }
+
+        for (const result of search.results) {
+          result.dictionary = result.dictionary != null ? dictionaries[result.dictionary] : null;
+
+          this[_addResult](result, results);
+        }
+
+        fileResults.push(this[_endFile]({ filePath: filePaths[i], results, warnings }, options, push));
+      }
+
+      return fileResults;
+    } finally {
+      await pool.close();
+    }
+  }
+
+  [_searchLine](context, query, limit) {
+    const selective = query != null || Boolean(context.options.invert);
+    const found = this[_searchContext](context, selective ? Infinity : limit);
+    let results = filterResults(found, query, 'line');
+
+    // Queries satisfied without any results for their terms (e.g. "NOT foo") are satisfied by the line itself
+    if (query && !results.length && query.test(found)) {
+      results = [ createLineResult(context) ];
+    }
+
+    if (context.options.invert) {
+      results = results.length ? [] : [ createLineResult(context) ];
+    }
+
+    return results.slice(0, limit);
+  }
+
+  [_searchStream](readable, options, push) {
+    return new Promise((resolve, reject) => {
+      this[_assertValid](options);
+
+      const after = options.after || 0;
+      const before = options.before || 0;
+      const query = createQuery(options);
+      const encoding = options.encoding || 'utf8';
+      const decoder = iconv.getDecoder(encoding, { stripBOM: false });
+      const buffered = Boolean(options.multiline) || isFileScoped(query, options);
+      const pending = [];
+      const previousLines = [];
+      const results = [];
+      let byteOffset = 0;
+      let done = false;
+      let lineNumber = 0;
+      let offset = 0;
+      let remainder = '';
+      let skipLineFeed = false;
+      let start = true;
+
+      const end = () => {
+        done = true;
+
+        this.emit('end', { options, results, stream: readable });
+
+        debug('%d %s found!', results.length, pluralize('result', results.length));
+
+        resolve(results);
+
+        if (typeof readable.destroy === 'function') {
+          readable.destroy();
+        }
+      };
+
+      const fail = (error) => {
+        done = true;
+
+        if (typeof readable.destroy === 'function') {
+          readable.destroy();
+        }
+
+        reject(error);
+      };
+
+      const flushPending = (force) => {
+        while (pending.length) {
+          if (!force && after && pending[0].after.length < after) {
+            break;
+          }
+
+          const result = pending.shift();
+
+          this[_addResult](result, results);
+
+          push(result);
+        }
+      };
+
+      const readChunk = (chunk) => {
+        if (start && chunk) {
+          if (chunk[0] === '\ufeff') {
+            byteOffset = getByteLength(chunk[0], encoding);
+            chunk = chunk.substring(1);
+          }
+
+          start = false;
+        }
+
+        return chunk;
+      };
+
+      const searchLine = (line, lineBreak) => {
+        for (const result of pending) {
+          if (after && result.after.length < after) {
+            result.after.push(line);
+          }
+        }
+
+        flushPending(false);
+
+        const context = { lineNumber, line, lines: [ line ], offset, options, results, value: line };
+        const remaining = getRemaining(options, results.length + pending.length);
+
+        for (const result of remaining ? this[_searchLine](context, query, remaining) : []) {
+          result.byteOffset = byteOffset + getByteLength(line.substring(0, result.offset - offset), encoding);
+
+          if (before || after) {
+            result.before = previousLines.slice();
+            result.after = [];
+          }
+
+          pending.push(result);
+        }
+
+        flushPending(false);
+
+        if (before) {
+          previousLines.push(line);
+
+          if (previousLines.length > before) {
+            previousLines.shift();
+          }
+        }
+
+        byteOffset += getByteLength(`${line}${lineBreak}`, encoding);
+        lineNumber++;
+        offset += line.length + lineBreak.length;
+      };
+
+      const searchChunk = (chunk, flush) => {
+        if (skipLineFeed && chunk) {
+          if (chunk[0] === '\n') {
+            chunk = chunk.substring(1);
+            byteOffset += getByteLength('\n', encoding);
+            offset++;
+          }
+
+          skipLineFeed = false;
+        }
+        if (chunk && chunk[chunk.length - 1] === '\r') {
+          skipLineFeed = true;
+        }
+
+        const parts = `${remainder}${chunk}`.split(/(\r\n?|\n)/g);
+        remainder = flush ? '' : parts.pop();
+
+        for (let i = 0; i < parts.length; i += 2) {
+          // Like the trailing line of a string, the empty remainder of a stream ending with a line break is not a line
+          if (flush && (options.invert || query != null) && i === parts.length - 1 && !parts[i]) {
+            break;
+          }
+
+          searchLine(parts[i], parts[i + 1] || '');
+
+          if (!pending.length && !getRemaining(options, results.length)) {
+            debug('Limit reached so skipping remainder of stream');
+
+            end();
+
+            return;
+          }
+        }
+
+        if (flush) {
+          flushPending(true);
+        }
+      };
+
+      if (!buffered) {
+        this.emit('search', { options, stream: readable });
+      }
+
+      readable.on('data', (buffer) => {
+        if (done) {
+          return;
+        }
+
+        // Errors thrown while searching (e.g. by an engine) would otherwise escape the event handler uncaught
+        try {
+          const chunk = readChunk(decoder.write(buffer));
+
+          if (buffered) {
+            remainder += chunk;
+          } else {
+            searchChunk(chunk, false);
+          }
+        } catch (e) {
+          fail(e);
+        }
+      });
+      readable.on('end', () => {
+        if (done) {
+          return;
+        }
+
+        try {
+          const chunk = readChunk(decoder.end() || '');
+
+          if (buffered) {
+            for (const result of this[_search](`${remainder}${chunk}`, options, byteOffset)) {
+              results.push(result);
+              push(result);
+            }
+
+            resolve(results);
+          } else {
+            searchChunk(chunk, true);
+
+            if (!done) {
+              end();
+            }
+          }
+        } catch (e) {
+          fail(e);
+        }
+      });
+      readable.on('error', (error) => {
+        if (!done) {
+          fail(error);
+        }
+      });
+    });
+  }
+
+  [_startFile](filePath, options) {
+    /**
+     * The "file:start" event is fired immediately before a file is searched while searching multiple files.
+     *
+     * When files are being searched in parallel, this is instead fired immediately before the search results for the
+     * file are reported.
+     *
+     * @event Searcherer#file:start
+     * @type {Object}
+     * @property {string} filePath - The path of the file being searched.
+     * @property {Searcherer~SearchFilesOptions} options - The options being used throughout the search.
+     */
+    this.emit('file:start', { filePath, options });
+  }
+
+}
+
+function addContextLines(result, lines, options) {
+  const after = options.after || 0;
+  const before = options.before || 0;
+
+  if (!after && !before) {
+    return;
+  }
+
+  const endLineNumber = result.endLineNumber != null ? result.endLineNumber : result.lineNumber;
+
+  result.before = lines.slice(Math.max(result.lineNumber - before, 0), result.lineNumber);
+  result.after = lines.slice(endLineNumber + 1, endLineNumber + 1 + after);
+}
+
+function createByteCounter(value, lineOffsets, encoding, byteOffset) {
+  const lineByteOffsets = [ byteOffset ];
+
+  return (result) => {
+    const lineNumber = result.lineNumber;
+
+    for (let i = lineByteOffsets.length; i <= lineNumber; i++) {
+      const line = value.substring(lineOffsets[i - 1], lineOffsets[i]);
+
+      lineByteOffsets.push(lineByteOffsets[i - 1] + getByteLength(line, encoding));
+    }
+
+    const prefix = value.substring(lineOffsets[lineNumber], result.offset);
+
+    return lineByteOffsets[lineNumber] + getByteLength(prefix, encoding);
+  };
+}
+
+function createLineResult(context) {
+  const counter = new ColumnCounter(context.options.columnUnit);
+
+  return {
+    columnNumber: 0,
+    dictionary: null,
+    endColumnNumber: counter.count(context.line, context.line.length),
+    line: context.line,
+    lineNumber: context.lineNumber,
+    match: context.line,
+    offset: context.offset,
+    pattern: null
+  };
+}
+
+function createQuery(options) {
+  if (options.queryScope != null && !Query.SCOPES.includes(options.queryScope)) {
+    throw new TypeError(`Invalid query scope: ${options.queryScope}`);
+  }
+
+  if (options.query == null) {
+    return null;
+  }
+
+  return options.query instanceof Query ? options.query : new Query(options.query);
+}
+
+function filterResults(results, query, scope) {
+  if (!query) {
+    return results;
+  }
+
+  if (scope === 'file') {
+    return query.test(results) ? results.filter((result) => query.matches(result)) : [];
+  }
+
+  const resultsByLine = new Map();
+
+  for (const result of results) {
+    if (!resultsByLine.has(result.lineNumber)) {
+      resultsByLine.set(result.lineNumber, []);
+    }
+
+    resultsByLine.get(result.lineNumber).push(result);
+  }
+
+  return results.filter((result) => {
+    return query.test(resultsByLine.get(result.lineNumber)) && query.matches(result);
+  });
+}
+
+function findSatisfiedLines(results, query, lines, lineOffsets, options) {
+  const isSatisfied = (found) => query.test(found) && !found.some((result) => query.matches(result));
+
+  // Queries satisfied without any results for their terms (e.g. "NOT foo") are satisfied by every line of the file
+  if (options.queryScope === 'file') {
+    return isSatisfied(results) ? invertResults([], lines, lineOffsets, options) : [];
+  }
+
+  const resultsByLine = new Map();
+
+  for (const result of results) {
+    const endLineNumber = result.endLineNumber != null ? result.endLineNumber : result.lineNumber;
+
+    // Results are considered to be on every line that they span so that lines within them are never reported
+    for (let lineNumber = result.lineNumber; lineNumber <= endLineNumber; lineNumber++) {
+      if (!resultsByLine.has(lineNumber)) {
+        resultsByLine.set(lineNumber, []);
+      }
+
+      resultsByLine.get(lineNumber).push(result);
+    }
+  }
+
+  const satisfied = [];
+
+  lines.forEach((line, lineNumber) => {
+    if (!isTrailingLine(lines, lineNumber) && isSatisfied(resultsByLine.get(lineNumber) || [])) {
+      satisfied.push(createLineResult({ line, lineNumber, offset: lineOffsets[lineNumber], options }));
+    }
+  });
+
+  return satisfied;
+}
+
+function getByteLength(str, encoding) {
+  if (!encoding || /^utf-?8$/i.test(encoding)) {
+    return Buffer.byteLength(str, 'utf8');
+  }
+
+  return iconv.encode(str, encoding, { addBOM: false }).length;
+}
+
+function getLineOffsets(value) {
+  const lineBreak = /\r\n?|\n/g;
+  const lineOffsets = [ 0 ];
+  let match;
+
+  while ((match = lineBreak.exec(value)) != null) {
+    lineOffsets.push(match.index + match[0].length);
+  }
+
+  return lineOffsets;
+}
+
+function getRemaining(options, count) {
+  return options.limit ? Math.max(options.limit - count, 0) : Infinity;
+}
+
+function getReplacement(result, replacements) {
+  if (result.pattern == null) {
+    return null;
+  }
+
+  if (replacements instanceof Map) {
+    if (replacements.has(result.pattern)) {
+      return replacements.get(result.pattern);
+    }
+  } else if (Object.prototype.hasOwnProperty.call(replacements, result.pattern)) {
+    return replacements[result.pattern];
+  }
+
+  if (typeof result.dictionary.getPatternOptions !== 'function') {
+    return null;
+  }
+
+  const options = result.dictionary.getPatternOptions(result.pattern);
+
+  return options ? options.replacement : null;
+}
+
+function invertResults(results, lines, lineOffsets, options) {
+  const matchedLineNumbers = new Set();
+
+  for (const result of results) {
+    const endLineNumber = result.endLineNumber != null ? result.endLineNumber : result.lineNumber;
+
+    for (let lineNumber = result.lineNumber; lineNumber <= endLineNumber; lineNumber++) {
+      matchedLineNumbers.add(lineNumber);
+    }
+  }
+
+  const inverted = [];
+
+  lines.forEach((line, lineNumber) => {
+    if (!matchedLineNumbers.has(lineNumber) && !isTrailingLine(lines, lineNumber)) {
+      inverted.push(createLineResult({ line, lineNumber, offset: lineOffsets[lineNumber], options }));
+    }
+  });
+
+  return inverted;
+}
+
+function isFileScoped(query, options) {
+  return query != null && options.queryScope === 'file';
+}
+
+function isSerializable(dictionary) {
+  const engine = dictionary.engine;
+
+  return dictionary.constructor === Dictionary && engine != null && engines[engine.name] === engine;
+}
+
+function isTrailingLine(lines, lineNumber) {
+  // An empty last line only exists because the string ends with a line break
+  return lineNumber > 0 && lineNumber === lines.length - 1 && !lines[lineNumber];
+}
+
+Searcherer.AhoCorasickEngine = engines.AhoCorasickEngine;
+Searcherer.ColumnCounter = ColumnCounter;
+Searcherer.Dictionary = Dictionary;
+Searcherer.DictionaryParser = DictionaryParser;
+Searcherer.Engine = engines.Engine;
+Searcherer.FileFinder = FileFinder;
+Searcherer.FuzzyEngine = engines.FuzzyEngine;
+Searcherer.Normalizer = Normalizer;
+Searcherer.PatternAnalyzer = PatternAnalyzer;
+Searcherer.Query = Query;
+Searcherer.RegExpEngine = engines.RegExpEngine;
+Searcherer.StreamSearch = StreamSearch;
+Searcherer.ValidationError = ValidationError;
+
+module.exports = Searcherer;
 
 /**
  * Returns whether the patterns within the specified <code>dictionary</code> are to be searched for within the string.
@@ -437,6 +1612,26 @@ module.exports = Searcherer;
  * <code>false</code>.
  */
 
+/**
+ * Contains the search results for an individual file.
+ *
+ * @typedef {Object} Searcherer~FileResults
+ * @property {string} filePath - The path of the file that was searched.
+ * @property {Searcherer~Result[]} results - The search results for the file.
+ * @property {Searcherer~Warning[]} warnings - The warnings encountered while searching the file.
+ */
+
+/**
+ * Contains the information for a group captured by a search result.
+ *
+ * @typedef {Object} Searcherer~Group
+ * @property {number} [offset] - The index within the whole string being searched at which the group was captured. Only
+ * present when the group participated in the match and the runtime supports the <code>d</code> flag for regular
+ * expressions.
+ * @property {?string} value - The value captured by the group, which will be <code>null</code> if the group did not
+ * participate in the match.
+ */
+
 /**
  * The options that can be passed to the {@link Searcherer} constructor.
  *
@@ -447,32 +1642,83 @@ module.exports = Searcherer;
  * created.
  */
 
+/**
+ * The options that can be passed to the various replace methods on {@link Searcherer} that involve reading and writing
+ * files (either synchronously or asynchronously).
+ *
+ * @typedef {Searcherer~SearchFileOptions} Searcherer~ReplaceFileOptions
+ * @property {boolean} [dryRun] - <code>true</code> to not write the new contents back to the file; otherwise
+ * <code>false</code>.
+ */
+
+/**
+ * Contains the information for a replacement.
+ *
+ * @typedef {Object} Searcherer~ReplaceResult
+ * @property {string} [original] - The original value. Only present when replacing within a file.
+ * @property {Searcherer~Result[]} results - The search results whose matches were replaced, each of which also
+ * contains the <code>replacement</code> that was used.
+ * @property {string} value - The value with all matches replaced.
+ */
+
 /**
  * Contains the information for an individual search result.
  *
  * @typedef {Object} Searcherer~Result
+ * @property {string[]} [after] - The lines of text immediately following the line on which the match ended. Only
+ * present when the <code>after</code> or <code>before</code> option is used.
+ * @property {string[]} [before] - The lines of text immediately preceding the line on which the match was found. Only
+ * present when the <code>after</code> or <code>before</code> option is used.
+ * @property {number} byteOffset - The number of bytes preceding the match in the whole string being searched, when
+ * encoded using the <code>encoding</code> option (UTF-8 by default). This includes any byte order mark at the start of
+ * a file or stream.
  * @property {number} columnNumber - The column number at which the match was found (i.e. the start index of the match
- * within the line).
- * @property {Dictionary} dictionary - The {@link Dictionary} to which the pattern responsible for the match belongs.
+ * within the line), counted in the unit specified by the <code>columnUnit</code> option.
+ * @property {?Dictionary} dictionary - The {@link Dictionary} to which the pattern responsible for the match belongs.
+ * This is <code>null</code> for inverted results.
+ * @property {number} [distance] - The edit distance of the match from the pattern. Only present for matches found by
+ * fuzzy dictionaries.
+ * @property {number} endColumnNumber - The column number at which the match ended (i.e. the end index of the match
+ * within the line on which it ended), counted in the unit specified by the <code>columnUnit</code> option.
+ * @property {number} [endLineNumber] - The line number on which the match ended. Only present when the
+ * <code>multiline</code> option is enabled.
+ * @property {Searcherer~Group[]} [groups] - The groups captured by the match, in the order in which they appear within
+ * the pattern. Only present when the pattern contains capturing groups.
  * @property {string} line - The complete line of text in which the match was found.
  * @property {number} lineNumber - The line number in relation to the whole string being searched.
  * @property {string} match - The exact match that was found.
- * @property {string} pattern - The pattern responsible for the match.
+ * @property {Object.<string, Searcherer~Group>} [namedGroups] - The groups captured by the match mapped to their names.
+ * Only present when the pattern contains named capturing groups.
+ * @property {number} offset - The index within the whole string being searched at which the match was found.
+ * @property {?string} pattern - The pattern responsible for the match. This is <code>null</code> for inverted results,
+ * which each represent a whole line that does not contain any matches when the <code>invert</code> option is
+ * enabled.
+ * @property {string} [replacement] - The expanded replacement for the match. Only present when replacing.
  */
 
 /**
  * Contains the information for an individual line search.
  *
  * While this contains the original string and all of the lines being searched, individual searches are performed on a
- * line-by-line basis.
+ * line-by-line basis, unless the <code>multiline</code> option is enabled, in which case a single search is performed
+ * on the whole string and neither <code>line</code> nor <code>lineNumber</code> are present.
+ *
+ * When searching a stream line-by-line, the whole string is never available so both <code>lines</code> and
+ * <code>value</code> only contain the line being searched.
  *
  * @typedef {Object} Searcherer~SearchContext
- * @property {number} lineNumber - The line number in relation to the whole string being searched.
- * @property {string} line - The complete line of text being searched.
+ * @property {number} [lineNumber] - The line number in relation to the whole string being searched.
+ * @property {string} [line] - The complete line of text being searched.
+ * @property {number[]} [lineOffsets] - The index within the whole string at which each line starts. Only present when
+ * the <code>multiline</code> option is enabled.
  * @property {string[]} lines - All of the lines being searched.
+ * @property {number} [offset] - The index within the whole string at which <code>line</code> starts. Only present when
+ * the <code>multiline</code> option is disabled.
  * @property {Searcherer~SearchOptions} options - The options to be used throughout the search.
  * @property {Searcherer~Result[]} results - The search results, so far.
  * @property {string} value - The whole string being searched.
+ * @property {Searcherer~Warning[]} [warnings] - The warnings encountered while searching the line (or value), to which
+ * dictionaries can add.
  */
 
 /**
@@ -483,12 +1729,59 @@ module.exports = Searcherer;
  * @property {string} [encoding="utf8"] - The encoding of the contents of the file to be searched.
  */
 
+/**
+ * The options that can be passed to the methods on {@link Searcherer} that search multiple files.
+ *
+ * @typedef {Searcherer~SearchFileOptions} Searcherer~SearchFilesOptions
+ * @property {string} [baseDir=process.cwd()] - The directory against which relative patterns are resolved.
+ * @property {boolean} [binary] - <code>true</code> to include binary files; otherwise <code>false</code>.
+ * @property {string[]} [exclude=[]] - The glob patterns for files and directories to be excluded.
+ * @property {string[]} [ignoreFiles=FileFinder.IGNORE_FILES] - The names of the files, within any directory being
+ * walked, whose rules are used to ignore files and directories. Ignore files are not used at all if empty.
+ * @property {string[]} [include=[]] - The glob patterns for files to be included. All files are included by default.
+ * @property {number} [jobs=1] - The maximum number of files to be searched in parallel using worker threads.
+ */
+
 /**
  * The options that can be passed to the various search methods on {@link Searcherer}.
  *
  * @typedef {Object} Searcherer~SearchOptions
+ * @property {number} [after=0] - The number of lines following each match to be included in its result as context.
+ * @property {number} [before=0] - The number of lines preceding each match to be included in its result as context.
  * @property {boolean} [caseSensitive] - <code>true</code> to perform a case-sensitive search on the string; otherwise
  * <code>false</code>.
+ * @property {string} [columnUnit="utf16"] - The unit (see {@link ColumnCounter.UNITS}) in which the column numbers
+ * within search results are counted.
  * @property {Searcherer~DictionaryFilter} [filter] - The function to be used to filter which dictionaries have their
  * patterns included in the search of the string. All dictionaries are provided by default.
+ * @property {boolean} [ignoreDiacritics] - <code>true</code> to ignore diacritics within both the string and patterns
+ * (e.g. so that <code>"naïve"</code> matches <code>"naive"</code>); otherwise <code>false</code>.
+ * @property {boolean} [invert] - <code>true</code> to find lines that do not contain any matches, each of which is
+ * represented by a result for the whole line with neither a pattern nor a dictionary; otherwise <code>false</code>.
+ * @property {number} [limit] - The maximum number of results to be found, after which the search stops. All results are
+ * found by default.
+ * @property {boolean} [multiline] - <code>true</code> to search the whole string at once, allowing patterns to match
+ * across multiple lines; otherwise <code>false</code>.
+ * @property {string} [normalize] - The Unicode normalization form (see {@link Normalizer.FORMS}) to be applied to both
+ * the string and patterns before matching. The positions and matches within search results always refer to the
+ * original string.
+ * @property {Query|string} [query] - The query (see {@link Query}) that results must satisfy in order to be found,
+ * combining patterns and dictionaries using boolean logic. Only results that were found for the terms within the query
+ * are included.
+ * @property {string} [queryScope="line"] - The scope (see {@link Query.SCOPES}) at which the <code>query</code> option
+ * is evaluated.
+ * @property {number} [timeout] - The maximum number of milliseconds that matching each pattern against a line (or the
+ * whole string, when the <code>multiline</code> option is enabled) may take, after which the pattern is skipped for
+ * that line and a warning is fired instead. Patterns may take any amount of time by default.
+ */
+
+/**
+ * Contains the information for a problem that was encountered during a search but which did not stop it.
+ *
+ * @typedef {Object} Searcherer~Warning
+ * @property {Dictionary} dictionary - The {@link Dictionary} to which the pattern responsible for the warning belongs.
+ * @property {?number} lineNumber - The line number in relation to the whole string being searched. This is
+ * <code>null</code> when the <code>multiline</code> option is enabled.
+ * @property {string} message - The message describing the warning.
+ * @property {string} pattern - The pattern responsible for the warning.
  */
@@ -0,0 +1,161 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const _done = Symbol('done');
+const _error = Symbol('error');
+const _finish = Symbol('finish');
+const _next = Symbol('next');
+const _promise = Symbol('promise');
+const _push = Symbol('push');
+const _queue = Symbol('queue');
+const _waiting = Symbol('waiting');
+
+/**
+ * Represents an asynchronous search whose results become available over time, typically while a stream is being read.
+ *
+ * A <code>StreamSearch</code> can be treated as a <code>Promise</code> that is resolved with all of the search results
+ * once the search has completed. Where the runtime supports asynchronous iteration, it can also be iterated over using
+ * <code>for await...of</code> to consume each search result as soon as it's found.
+ *
+ * When searching multiple files (see {@link Searcherer#searchFiles}), each "result" is instead the
+ * {@link Searcherer~FileResults} for an individual file, which becomes available as soon as that file has been
+ * searched.
+ *
+ * <code>StreamSearch</code> instances are only expected to be created internally by {@link Searcherer}.
+ *
+ * @public
+ */
+class StreamSearch {
+
+  /**
+   * Creates an instance of {@link StreamSearch} for the specified <code>executor</code>.
+   *
+   * <code>executor</code> is called immediately with a function that is to be called with each search result as soon
+   * as it's found and must return a <code>Promise</code> that is resolved with all of the search results.
+   *
+   * @param {StreamSearch~Executor} executor - the function responsible for performing the search
+   * @public
+   */
+  constructor(executor) {
+    this[_done] = false;
+    this[_error] = null;
+    this[_queue] = [];
+    this[_waiting] = [];
+    this[_promise] = executor((result) => this[_push](result))
+      .then((results) => {
+        this[_finish](null);
+
+        return results;
+      }, (error) => {
+        this[_finish](error);
+
+        throw error;
+      });
+
+    // Prevent unhandled rejection warnings when only the results are being iterated over
+    this[_promise].catch(() => {});
+  }
+
+  /**
+   * Attaches a callback for the rejection of this {@link StreamSearch}.
+   *
+   * @param {Function} [onRejected] - the callback to be called if the search failed
+   * @return {Promise} A <code>Promise</code> for the completion of the callback.
+   * @public
+   */
+  catch(onRejected) {
+    return this[_promise].catch(onRejected);
+  }
+
+  /**
+   * Attaches callbacks for the resolution and/or rejection of this {@link StreamSearch}.
+   *
+   * @param {Function} [onFulfilled] - the callback to be called with all of the search results once the search has
+   * completed
+   * @param {Function} [onRejected] - the callback to be called if the search failed
+   * @return {Promise} A <code>Promise</code> for the completion of whichever callback is called.
+   * @public
+   */
+  then(onFulfilled, onRejected) {
+    return this[_promise].then(onFulfilled, onRejected);
+  }
+
+  [_finish](error) {
+    this[_done] = true;
+    this[_error] = error;
+
+    for (const { reject, resolve } of this[_waiting].splice(0)) {
+      if (error) {
+        reject(error);
+      } else {
+        resolve({ done: true });
+      }
+    }
+  }
+
+  [_next]() {
+    if (this[_queue].length) {
+      return Promise.resolve({ done: false, value: this[_queue].shift() });
+    }
+    if (this[_error]) {
+      return Promise.reject(this[_error]);
+    }
+    if (this[_done]) {
+      return Promise.resolve({ done: true });
+    }
+
+    return new Promise((resolve, reject) => this[_waiting].push({ reject, resolve }));
+  }
+
+  [_push](result) {
+    if (this[_waiting].length) {
+      this[_waiting].shift().resolve({ done: false, value: result });
+    } else {
+      this[_queue].push(result);
+    }
+  }
+
+}
+
+if (typeof Symbol.asyncIterator === 'symbol') {
+  StreamSearch.prototype[Symbol.asyncIterator] = function() {
+    return {
+      next: () => this[_next](),
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  };
+}
+
+module.exports = StreamSearch;
+
+/**
+ * Performs a search, calling <code>push</code> with each search result as soon as it's found.
+ *
+ * @callback StreamSearch~Executor
+ * @param {Function} push - the function to be called with each search result as soon as it's found
+ * @return {Promise.<Searcherer~Result[], Error>} A <code>Promise</code> that is resolved with all of the search results
+ * once the search has completed.
+ */
@@ -0,0 +1,73 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const pluralize = require('pluralize');
+
+const _problems = Symbol('problems');
+
+/**
+ * An error that is thrown when searching using dictionaries that contain problems, such as invalid patterns, which are
+ * found by {@link Dictionary#validate}.
+ *
+ * The message describes every problem, including the file from which the dictionary was parsed, if any, and the index
+ * of the pattern at fault.
+ *
+ * @public
+ */
+class ValidationError extends Error {
+
+  /**
+   * Creates an instance of {@link ValidationError} for the specified <code>problems</code>.
+   *
+   * @param {Dictionary~Problem[]} problems - the problems that were found
+   * @public
+   */
+  constructor(problems) {
+    const lines = problems.map((problem) => `  ${formatProblem(problem)}`);
+
+    super(`${problems.length} ${pluralize('problem', problems.length)} found in dictionaries:\n${lines.join('\n')}`);
+
+    this.name = 'ValidationError';
+    this[_problems] = problems;
+  }
+
+  /**
+   * Returns a copy of the problems that caused this {@link ValidationError}.
+   *
+   * @return {Dictionary~Problem[]} The problems.
+   * @public
+   */
+  get problems() {
+    return Array.from(this[_problems]);
+  }
+
+}
+
+function formatProblem(problem) {
+  const location = problem.filePath || problem.dictionary.name;
+
+  return `${location}: pattern at index ${problem.index} (${JSON.stringify(problem.pattern)}): ${problem.message}`;
+}
+
+module.exports = ValidationError;
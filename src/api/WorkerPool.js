@@ -0,0 +1,207 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const debug = require('debug')('searcherer:api');
+const path = require('path');
+
+const _dispatch = Symbol('dispatch');
+const _idle = Symbol('idle');
+const _nextId = Symbol('nextId');
+const _queue = Symbol('queue');
+const _tasks = Symbol('tasks');
+const _workers = Symbol('workers');
+
+let workerThreads;
+try {
+  /* eslint-disable global-require */
+  workerThreads = require('worker_threads');
+  /* eslint-enable global-require */
+} catch (e) {
+  workerThreads = null;
+}
+
+/**
+ * A pool of worker threads across which files can be distributed so that they are searched in parallel.
+ *
+ * Each worker creates its own {@link Dictionary} instances from the serialized dictionaries that are passed to the
+ * pool and searches the files that it's given synchronously, posting the results back to the main thread.
+ *
+ * <code>WorkerPool</code> instances are only expected to be created internally by {@link Searcherer}.
+ *
+ * @public
+ */
+class WorkerPool {
+
+  /**
+   * Returns whether worker threads are supported by the runtime.
+   *
+   * @return {boolean} <code>true</code> if worker threads are supported; otherwise <code>false</code>.
+   * @public
+   */
+  static isSupported() {
+    return workerThreads != null;
+  }
+
+  /**
+   * Creates an instance of {@link WorkerPool} with the specified number of workers, each of which is initialized using
+   * the <code>data</code> provided.
+   *
+   * An error will occur if worker threads are not supported by the runtime.
+   *
+   * @param {number} size - the number of workers to be created
+   * @param {WorkerPool~Data} data - the data to be used to initialize each worker
+   * @throws {Error} If worker threads are not supported.
+   * @public
+   */
+  constructor(size, data) {
+    if (!WorkerPool.isSupported()) {
+      throw new Error('Worker threads are not supported');
+    }
+
+    debug('Creating pool of %d workers', size);
+
+    this[_idle] = [];
+    this[_nextId] = 0;
+    this[_queue] = [];
+    this[_tasks] = new Map();
+    this[_workers] = [];
+
+    for (let i = 0; i < size; i++) {
+      const worker = new workerThreads.Worker(path.join(__dirname, 'worker.js'), { workerData: data });
+
+      worker.on('message', (message) => {
+        const task = this[_tasks].get(message.id);
+        this[_tasks].delete(message.id);
+
+        if (message.error) {
+          task.reject(Object.assign(new Error(message.error.message), { code: message.error.code }));
+        } else {
+          task.resolve({ results: message.results, warnings: message.warnings });
+        }
+
+        this[_idle].push(worker);
+        this[_dispatch]();
+      });
+      worker.on('error', (error) => {
+        for (const task of this[_tasks].values()) {
+          task.reject(error);
+        }
+        for (const task of this[_queue].splice(0)) {
+          task.reject(error);
+        }
+
+        this[_tasks].clear();
+      });
+
+      this[_idle].push(worker);
+      this[_workers].push(worker);
+    }
+  }
+
+  /**
+   * Terminates all of the workers within this {@link WorkerPool}.
+   *
+   * @return {Promise.<void, Error>} A <code>Promise</code> that is resolved once all workers have been terminated.
+   * @public
+   */
+  async close() {
+    debug('Terminating pool of %d workers', this[_workers].length);
+
+    await Promise.all(this[_workers].map((worker) => worker.terminate()));
+  }
+
+  /**
+   * Searches the file at the specified path using the next available worker within this {@link WorkerPool}.
+   *
+   * An error will occur if the file cannot be read.
+   *
+   * @param {string} filePath - the path of the file whose contents are to be searched
+   * @return {Promise.<WorkerPool~FileResults, Error>} A <code>Promise</code> that is resolved with the serialized
+   * search results and warnings.
+   * @public
+   */
+  searchFile(filePath) {
+    return new Promise((resolve, reject) => {
+      this[_queue].push({ filePath, id: this[_nextId]++, reject, resolve });
+      this[_dispatch]();
+    });
+  }
+
+  [_dispatch]() {
+    while (this[_idle].length && this[_queue].length) {
+      const task = this[_queue].shift();
+      const worker = this[_idle].shift();
+
+      this[_tasks].set(task.id, task);
+
+      worker.postMessage({ filePath: task.filePath, id: task.id });
+    }
+  }
+
+}
+
+module.exports = WorkerPool;
+
+/**
+ * The data used to initialize each worker within a {@link WorkerPool}.
+ *
+ * @typedef {Object} WorkerPool~Data
+ * @property {WorkerPool~Dictionary[]} dictionaries - The serialized dictionaries to be searched.
+ * @property {Searcherer~SearchFileOptions} options - The options to be used to search each file, excluding
+ * <code>filter</code>.
+ */
+
+/**
+ * A {@link Dictionary} that has been serialized so that it can be passed to a worker.
+ *
+ * @typedef {Object} WorkerPool~Dictionary
+ * @property {Dictionary~Options} data - The JSON representation of the dictionary.
+ * @property {string} engine - The name of the {@link Engine} used by the dictionary.
+ */
+
+/**
+ * Contains the serialized search results and warnings for a file that was searched by a worker.
+ *
+ * @typedef {Object} WorkerPool~FileResults
+ * @property {WorkerPool~Result[]} results - The serialized search results.
+ * @property {WorkerPool~Warning[]} warnings - The serialized warnings.
+ */
+
+/**
+ * A search result that has been serialized so that it can be passed back from a worker.
+ *
+ * This is identical to {@link Searcherer~Result} except that <code>dictionary</code> contains the index of the
+ * dictionary within {@link WorkerPool~Data}.
+ *
+ * @typedef {Object} WorkerPool~Result
+ */
+
+/**
+ * A warning that has been serialized so that it can be passed back from a worker.
+ *
+ * This is identical to {@link Searcherer~Warning} except that <code>dictionary</code> contains the index of the
+ * dictionary within {@link WorkerPool~Data}.
+ *
+ * @typedef {Object} WorkerPool~Warning
+ */
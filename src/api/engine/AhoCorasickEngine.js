@@ -0,0 +1,294 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const RegExpEngine = require('./RegExpEngine');
+
+const _built = Symbol('built');
+const _caseInsensitiveRoot = Symbol('caseInsensitiveRoot');
+const _caseSensitiveRoot = Symbol('caseSensitiveRoot');
+const _literalRegExps = Symbol('literalRegExps');
+const _literals = Symbol('literals');
+const _regExpPatterns = Symbol('regExpPatterns');
+const _size = Symbol('size');
+
+let canonicalCodes = null;
+
+/**
+ * An implementation of {@link Engine} that compiles all literal patterns into a single Aho-Corasick automaton so that
+ * they can all be matched in a single pass over a string, regardless of how many there are.
+ *
+ * A pattern is considered to be literal if it has the <code>literal</code> option enabled or if it contains no special
+ * regular expression characters. Patterns with the <code>unicode</code> option enabled as well as any other patterns
+ * are matched using their own regular expressions, exactly like {@link RegExpEngine}.
+ *
+ * The matches are identical to those found by {@link RegExpEngine}, including how case-insensitive matches and whole
+ * words are treated, and are iterated over in the same order.
+ *
+ * @public
+ */
+class AhoCorasickEngine extends RegExpEngine {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  constructor(dictionary, options) {
+    super(dictionary, options);
+
+    this[_built] = false;
+    this[_caseInsensitiveRoot] = null;
+    this[_caseSensitiveRoot] = null;
+    this[_literalRegExps] = new Map();
+    this[_literals] = new Map();
+    this[_regExpPatterns] = [];
+    this[_size] = 0;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  add(pattern, options) {
+    const id = this[_size]++;
+    const text = this.fold(pattern);
+
+    if (!isLiteral(text, options)) {
+      super.add(pattern, options);
+
+      this[_regExpPatterns].push({ id, pattern });
+
+      return;
+    }
+
+    this[_built] = false;
+    this[_literals].set(pattern, {
+      caseSensitive: options.caseSensitive != null ? options.caseSensitive : this.caseSensitive,
+      id,
+      options,
+      pattern,
+      text,
+      wholeWord: Boolean(options.wholeWord)
+    });
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  *exec(input) {
+    if (!this[_built]) {
+      const literals = Array.from(this[_literals].values());
+
+      this[_caseInsensitiveRoot] = createAutomaton(literals.filter((literal) => !literal.caseSensitive), true);
+      this[_caseSensitiveRoot] = createAutomaton(literals.filter((literal) => literal.caseSensitive), false);
+      this[_built] = true;
+    }
+
+    const literalMatches = new Map();
+
+    matchAutomaton(this[_caseSensitiveRoot], input, false, literalMatches);
+    matchAutomaton(this[_caseInsensitiveRoot], input, true, literalMatches);
+
+    const literals = Array.from(literalMatches.keys()).sort((a, b) => a.id - b.id);
+    const regExpPatterns = this[_regExpPatterns];
+    let literalIndex = 0;
+    let regExpIndex = 0;
+
+    while (literalIndex < literals.length || regExpIndex < regExpPatterns.length) {
+      const literal = literals[literalIndex];
+      const regExpPattern = regExpPatterns[regExpIndex];
+
+      if (literal && (!regExpPattern || literal.id < regExpPattern.id)) {
+        for (const match of literalMatches.get(literal)) {
+          yield { match, pattern: literal.pattern };
+        }
+
+        literalIndex++;
+      } else {
+        yield* this.matchRegExp(regExpPattern.pattern, this.getRegExp(regExpPattern.pattern), input);
+
+        regExpIndex++;
+      }
+    }
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getRegExp(pattern) {
+    const literal = this[_literals].get(pattern);
+    if (!literal) {
+      return super.getRegExp(pattern);
+    }
+
+    let regExp = this[_literalRegExps].get(pattern);
+    if (!regExp) {
+      regExp = this.createRegExp(pattern, literal.options);
+
+      this[_literalRegExps].set(pattern, regExp);
+    }
+
+    return regExp;
+  }
+
+}
+
+function canonicalize(code) {
+  if (!canonicalCodes) {
+    canonicalCodes = new Uint16Array(0x10000);
+
+    for (let i = 0; i < canonicalCodes.length; i++) {
+      const upper = String.fromCharCode(i).toUpperCase();
+      const upperCode = upper.charCodeAt(0);
+
+      canonicalCodes[i] = upper.length !== 1 || (i >= 128 && upperCode < 128) ? i : upperCode;
+    }
+  }
+
+  return canonicalCodes[code];
+}
+
+function createAutomaton(literals, ignoreCase) {
+  if (!literals.length) {
+    return null;
+  }
+
+  const root = createNode();
+
+  for (const literal of literals) {
+    let node = root;
+
+    for (let i = 0; i < literal.text.length; i++) {
+      const code = literal.text.charCodeAt(i);
+      const key = ignoreCase ? canonicalize(code) : code;
+      let child = node.children.get(key);
+
+      if (!child) {
+        child = createNode();
+        node.children.set(key, child);
+      }
+
+      node = child;
+    }
+
+    node.literals.push(literal);
+  }
+
+  const queue = [];
+
+  for (const child of root.children.values()) {
+    child.fail = root;
+    queue.push(child);
+  }
+
+  for (let i = 0; i < queue.length; i++) {
+    const node = queue[i];
+
+    for (const [ key, child ] of node.children) {
+      let fail = node.fail;
+
+      while (fail !== root && !fail.children.has(key)) {
+        fail = fail.fail;
+      }
+
+      child.fail = fail.children.get(key) || root;
+      child.output = child.fail.literals.length ? child.fail : child.fail.output;
+
+      queue.push(child);
+    }
+  }
+
+  return root;
+}
+
+function createNode() {
+  return {
+    children: new Map(),
+    fail: null,
+    literals: [],
+    output: null
+  };
+}
+
+function isLiteral(pattern, options) {
+  return pattern.length > 0 && !options.unicode && (options.literal || !/[$()*+.?[\\\]^{|}]/.test(pattern));
+}
+
+function isWordBoundary(input, index) {
+  return isWordCharacter(input.charCodeAt(index - 1)) !== isWordCharacter(input.charCodeAt(index));
+}
+
+function isWordCharacter(code) {
+  return (code >= 48 && code <= 57) || (code >= 65 && code <= 90) || (code >= 97 && code <= 122) || code === 95;
+}
+
+function matchAutomaton(root, input, ignoreCase, literalMatches) {
+  if (!root) {
+    return;
+  }
+
+  const lastIndexes = new Map();
+  let node = root;
+
+  for (let i = 0; i < input.length; i++) {
+    const code = input.charCodeAt(i);
+    const key = ignoreCase ? canonicalize(code) : code;
+
+    while (node !== root && !node.children.has(key)) {
+      node = node.fail;
+    }
+
+    node = node.children.get(key) || root;
+
+    for (let output = node.literals.length ? node : node.output; output; output = output.output) {
+      for (const literal of output.literals) {
+        const end = i + 1;
+        const index = end - literal.text.length;
+
+        if (index < (lastIndexes.get(literal) || 0)) {
+          continue;
+        }
+        if (literal.wholeWord && !(isWordBoundary(input, index) && isWordBoundary(input, end))) {
+          continue;
+        }
+
+        const match = [ input.substring(index, end) ];
+        match.index = index;
+        match.input = input;
+
+        let matches = literalMatches.get(literal);
+        if (!matches) {
+          matches = [];
+          literalMatches.set(literal, matches);
+        }
+
+        matches.push(match);
+        lastIndexes.set(literal, end);
+      }
+    }
+  }
+}
+
+module.exports = AhoCorasickEngine;
@@ -0,0 +1,198 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const pollock = require('pollock');
+
+const Normalizer = require('../Normalizer');
+
+const _caseSensitive = Symbol('caseSensitive');
+const _dictionary = Symbol('dictionary');
+const _multiline = Symbol('multiline');
+const _normalizer = Symbol('normalizer');
+const _timeout = Symbol('timeout');
+
+/**
+ * Responsible for matching the patterns within a {@link Dictionary} against strings.
+ *
+ * A {@link Dictionary} creates a separate <code>Engine</code> for each combination of the <code>caseSensitive</code>,
+ * <code>multiline</code>, <code>normalize</code>, and <code>ignoreDiacritics</code> search options that it's searched
+ * with, adding all of its patterns to it using {@link Engine#add}. When either of the latter two options are used, the
+ * strings passed to {@link Engine#exec} have already been folded so implementations should use {@link Engine#fold}
+ * to fold their patterns in the same way.
+ *
+ * Implementations are free to compile the patterns however they see fit (e.g. into individual regular expressions or a
+ * single automaton), however, {@link Engine#exec} <b>must</b> always iterate over the matches for each pattern in the
+ * order in which the patterns were added and, for each pattern, in the order in which they appear within the string.
+ *
+ * @public
+ */
+class Engine {
+
+  /**
+   * Creates an instance of {@link Engine} for the specified <code>dictionary</code> using the <code>options</code>
+   * provided.
+   *
+   * @param {Dictionary} dictionary - the {@link Dictionary} whose patterns are to be matched
+   * @param {Engine~Options} options - the options to be used
+   * @public
+   */
+  constructor(dictionary, options) {
+    this[_caseSensitive] = Boolean(options.caseSensitive);
+    this[_dictionary] = dictionary;
+    this[_multiline] = Boolean(options.multiline);
+    this[_normalizer] = new Normalizer(options);
+    this[_timeout] = options.timeout || 0;
+  }
+
+  /**
+   * Folds the specified <code>str</code> in the same way as the strings that are passed to {@link Engine#exec} based on
+   * the <code>normalize</code> and <code>ignoreDiacritics</code> options.
+   *
+   * @param {string} str - the string to be folded
+   * @return {string} The folded string.
+   * @public
+   */
+  fold(str) {
+    return this[_normalizer].normalize(str);
+  }
+
+  /**
+   * Returns whether patterns are to be matched case-sensitively by this {@link Engine}, unless overridden by the
+   * <code>caseSensitive</code> option of the pattern itself.
+   *
+   * @return {boolean} <code>true</code> if patterns are case-sensitive by default; otherwise <code>false</code>.
+   * @public
+   */
+  get caseSensitive() {
+    return this[_caseSensitive];
+  }
+
+  /**
+   * Returns the {@link Dictionary} whose patterns are matched by this {@link Engine}.
+   *
+   * @return {Dictionary} The dictionary.
+   * @public
+   */
+  get dictionary() {
+    return this[_dictionary];
+  }
+
+  /**
+   * Returns whether patterns are to be matched against a whole value, potentially across multiple lines, by this
+   * {@link Engine}.
+   *
+   * @return {boolean} <code>true</code> if patterns are matched in multiline mode; otherwise <code>false</code>.
+   * @public
+   */
+  get multiline() {
+    return this[_multiline];
+  }
+
+  /**
+   * Returns the maximum number of milliseconds that matching each pattern against a string may take before it's
+   * abandoned by this {@link Engine}.
+   *
+   * Implementations that support this should iterate over a match with <code>timedOut</code> enabled for any pattern
+   * that is abandoned, instead of throwing an error, so that the remaining patterns can still be matched.
+   *
+   * @return {number} The timeout or <code>0</code> if patterns may take any amount of time.
+   * @public
+   */
+  get timeout() {
+    return this[_timeout];
+  }
+
+}
+
+/**
+ * Adds the specified <code>pattern</code> to this {@link Engine} so that it's matched by {@link Engine#exec}.
+ *
+ * @param {string} pattern - the pattern to be added
+ * @param {Dictionary~PatternOptions} options - the options for <code>pattern</code>
+ * @return {void}
+ * @public
+ * @abstract
+ * @memberof Engine#
+ * @method add
+ */
+pollock(Engine, 'add');
+
+/**
+ * Matches all of the patterns within this {@link Engine} against the specified <code>input</code> and iterates over
+ * each match.
+ *
+ * @param {string} input - the string to be matched
+ * @return {Iterable.<Engine~Match>} An <code>Iterable</code> for each match.
+ * @public
+ * @abstract
+ * @memberof Engine#
+ * @method exec
+ */
+pollock(Engine, 'exec');
+
+/**
+ * Returns a <code>RegExp</code> that is equivalent to the specified <code>pattern</code> within this {@link Engine}.
+ *
+ * This is used by {@link Dictionary#createReplacement} to expand any references to capture groups within
+ * replacements.
+ *
+ * This method will return <code>null</code> if <code>pattern</code> has not been added.
+ *
+ * @param {string} pattern - the pattern whose <code>RegExp</code> is to be returned
+ * @return {?RegExp} The <code>RegExp</code> for <code>pattern</code> or <code>null</code> if it has not been added.
+ * @public
+ * @abstract
+ * @memberof Engine#
+ * @method getRegExp
+ */
+pollock(Engine, 'getRegExp');
+
+module.exports = Engine;
+
+/**
+ * A match for a pattern that was found by an {@link Engine}.
+ *
+ * @typedef {Object} Engine~Match
+ * @property {number} [distance] - The edit distance of the match from the pattern. Only present for approximate
+ * matches.
+ * @property {Dictionary~RegExpMatch} [match] - The match. Not present when <code>timedOut</code> is enabled.
+ * @property {string} pattern - The pattern responsible for the match.
+ * @property {boolean} [timedOut] - <code>true</code> if the pattern was abandoned because matching it took longer than
+ * the timeout; otherwise <code>false</code>.
+ */
+
+/**
+ * The options that can be passed to the {@link Engine} constructor.
+ *
+ * @typedef {Object} Engine~Options
+ * @property {boolean} [caseSensitive] - <code>true</code> to match patterns case-sensitively by default; otherwise
+ * <code>false</code>.
+ * @property {boolean} [ignoreDiacritics] - <code>true</code> to remove diacritics from patterns; otherwise
+ * <code>false</code>.
+ * @property {boolean} [multiline] - <code>true</code> to match patterns in multiline mode; otherwise
+ * <code>false</code>.
+ * @property {string} [normalize] - The Unicode normalization form to be applied to patterns.
+ * @property {number} [timeout] - The maximum number of milliseconds that matching each pattern against a string may
+ * take.
+ */
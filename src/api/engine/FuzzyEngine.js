@@ -0,0 +1,260 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const Engine = require('./Engine');
+
+const _terms = Symbol('terms');
+
+const HOMOGLYPHS = createCharacterMap(
+  'ΑΒΕΖΗΙΚΜΝΟΡΤΥΧαικνορυχЅІЈАВЕКМНОРСТУХаеорсухѕіјһҮӏԁԚԛԜԝıℓ',
+  'ABEZHIKMNOPTYXaikvopuxSIJABEKMHOPCTYXaeopcyxsijhYldQqWwil'
+);
+
+const LEETSPEAK = {
+  '!': 'i', '$': 's', '+': 't', '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't',
+  '8': 'b', '9': 'g', '@': 'a', '|': 'l', '€': 'e'
+};
+
+/**
+ * An implementation of {@link Engine} that treats each pattern as a term and finds approximate matches for it, which
+ * are within a maximum edit (Levenshtein) distance of the term, instead of interpreting it as a regular expression.
+ *
+ * This is the engine used by a {@link Dictionary} whose <code>mode</code> is <code>"fuzzy"</code>. The
+ * <code>distance</code> pattern option controls the maximum number of characters that can be inserted, deleted, or
+ * substituted for a match, although it's always less than the length of the term so that at least one character
+ * matches. Additionally, the <code>leetspeak</code> and <code>homoglyphs</code> pattern options can be enabled to
+ * treat characters that are commonly used in place of letters (e.g. <code>"h3ll0"</code>) and letters from other
+ * scripts that look like Latin letters (e.g. Cyrillic <code>"а"</code>) as those letters respectively.
+ *
+ * Where several matches for a term overlap, the one that is found first is used unless it can be extended into a
+ * closer match. Each match contains the distance of the match from the term.
+ *
+ * @public
+ */
+class FuzzyEngine extends Engine {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  constructor(dictionary, options) {
+    super(dictionary, options);
+
+    this[_terms] = new Map();
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  add(pattern, options) {
+    const normalizeOptions = {
+      caseSensitive: options.caseSensitive != null ? options.caseSensitive : this.caseSensitive,
+      homoglyphs: Boolean(options.homoglyphs),
+      leetspeak: Boolean(options.leetspeak)
+    };
+    const text = normalize(this.fold(pattern), normalizeOptions);
+    const distance = options.distance != null ? options.distance : FuzzyEngine.DEFAULT_DISTANCE;
+
+    this[_terms].set(pattern, {
+      distance: Math.max(Math.min(distance, text.length - 1), 0),
+      normalizeOptions,
+      text,
+      wholeWord: Boolean(options.wholeWord)
+    });
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  *exec(input) {
+    const normalizedInputs = new Map();
+
+    for (const [ pattern, term ] of this[_terms]) {
+      if (!term.text) {
+        continue;
+      }
+
+      const { caseSensitive, homoglyphs, leetspeak } = term.normalizeOptions;
+      const key = `${caseSensitive}:${homoglyphs}:${leetspeak}`;
+      let normalizedInput = normalizedInputs.get(key);
+
+      if (normalizedInput == null) {
+        normalizedInput = normalize(input, term.normalizeOptions);
+        normalizedInputs.set(key, normalizedInput);
+      }
+
+      let found;
+      let lastIndex = 0;
+
+      while ((found = findMatch(term, normalizedInput, lastIndex)) != null) {
+        const match = [ input.substring(found.index, found.end) ];
+        match.index = found.index;
+        match.input = input;
+
+        yield { distance: found.distance, match, pattern };
+
+        lastIndex = found.end;
+      }
+    }
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getRegExp(pattern) {
+    return null;
+  }
+
+}
+
+function createCharacterMap(from, to) {
+  const map = {};
+
+  for (let i = 0; i < from.length; i++) {
+    map[from[i]] = to[i];
+  }
+
+  return map;
+}
+
+function findMatch(term, input, lastIndex) {
+  const { text } = term;
+  const costs = [];
+  const starts = [];
+  let found = null;
+
+  for (let i = 0; i <= text.length; i++) {
+    costs.push(i);
+    starts.push(lastIndex);
+  }
+
+  for (let end = lastIndex + 1; end <= input.length; end++) {
+    const code = input.charCodeAt(end - 1);
+    let diagonalCost = costs[0];
+    let diagonalStart = starts[0];
+
+    costs[0] = 0;
+    starts[0] = end;
+
+    for (let i = 1; i <= text.length; i++) {
+      const aboveCost = costs[i];
+      const aboveStart = starts[i];
+      let cost = diagonalCost + (text.charCodeAt(i - 1) === code ? 0 : 1);
+      let start = diagonalStart;
+
+      if (aboveCost + 1 < cost) {
+        cost = aboveCost + 1;
+        start = aboveStart;
+      }
+      if (costs[i - 1] + 1 < cost) {
+        cost = costs[i - 1] + 1;
+        start = starts[i - 1];
+      }
+
+      diagonalCost = aboveCost;
+      diagonalStart = aboveStart;
+      costs[i] = cost;
+      starts[i] = start;
+    }
+
+    const distance = costs[text.length];
+    const index = starts[text.length];
+    let candidate = null;
+
+    if (distance <= term.distance && (!term.wholeWord || isWholeWord(input, index, end))) {
+      candidate = { distance, end, index };
+    }
+
+    if (found) {
+      if (!candidate || candidate.distance >= found.distance) {
+        return found;
+      }
+
+      found = candidate;
+    } else {
+      found = candidate;
+    }
+  }
+
+  return found;
+}
+
+function isWholeWord(input, index, end) {
+  return isWordBoundary(input, index) && isWordBoundary(input, end);
+}
+
+function isWordBoundary(input, index) {
+  return isWordCharacter(input.charCodeAt(index - 1)) !== isWordCharacter(input.charCodeAt(index));
+}
+
+function isWordCharacter(code) {
+  return (code >= 48 && code <= 57) || (code >= 65 && code <= 90) || (code >= 97 && code <= 122) || code === 95;
+}
+
+function normalize(str, options) {
+  let normalized = '';
+
+  for (let i = 0; i < str.length; i++) {
+    let char = str[i];
+
+    if (options.homoglyphs) {
+      const code = char.charCodeAt(0);
+
+      if (code >= 0xff01 && code <= 0xff5e) {
+        char = String.fromCharCode(code - 0xfee0);
+      } else if (HOMOGLYPHS[char]) {
+        char = HOMOGLYPHS[char];
+      }
+    }
+
+    if (!options.caseSensitive) {
+      const lower = char.toLowerCase();
+
+      if (lower.length === 1) {
+        char = lower;
+      }
+    }
+
+    if (options.leetspeak && LEETSPEAK[char]) {
+      char = LEETSPEAK[char];
+    }
+
+    normalized += char;
+  }
+
+  return normalized;
+}
+
+/**
+ * The maximum edit distance for a match that is used for patterns that do not have the <code>distance</code> option.
+ *
+ * @public
+ * @type {number}
+ */
+FuzzyEngine.DEFAULT_DISTANCE = 1;
+
+module.exports = FuzzyEngine;
@@ -0,0 +1,216 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const vm = require('vm');
+
+const Engine = require('./Engine');
+
+const _context = Symbol('context');
+const _regExps = Symbol('regExps');
+
+const EXEC_SCRIPT = new vm.Script('matches = exec()');
+
+let INDICES_FLAG = 'd';
+try {
+  INDICES_FLAG = new RegExp('', INDICES_FLAG).hasIndices ? INDICES_FLAG : '';
+} catch (e) {
+  INDICES_FLAG = '';
+}
+
+/**
+ * An implementation of {@link Engine} that compiles each pattern into its own regular expression and matches them
+ * against strings one after another.
+ *
+ * This supports all patterns but the time taken to search a string grows with the number of patterns.
+ *
+ * @public
+ */
+class RegExpEngine extends Engine {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  constructor(dictionary, options) {
+    super(dictionary, options);
+
+    this[_context] = null;
+    this[_regExps] = new Map();
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  add(pattern, options) {
+    this[_regExps].set(pattern, this.createRegExp(pattern, options));
+  }
+
+  /**
+   * Creates a global <code>RegExp</code> for the specified <code>pattern</code> using the <code>options</code>
+   * provided.
+   *
+   * <code>pattern</code> is folded before being compiled and the <code>RegExp</code> itself is created by
+   * {@link Dictionary#createRegExp}. If <code>pattern</code> contains any capturing groups and the runtime supports it,
+   * the <code>d</code> flag is also used so that the positions of captured groups are available.
+   *
+   * @param {string} pattern - the pattern for which the <code>RegExp</code> is to be created
+   * @param {Dictionary~PatternOptions} options - the options for <code>pattern</code>
+   * @return {RegExp} A newly created <code>RegExp</code>.
+   * @protected
+   */
+  createRegExp(pattern, options) {
+    const caseSensitive = options.caseSensitive != null ? options.caseSensitive : this.caseSensitive;
+    const folded = this.fold(pattern);
+    let flags = `g${caseSensitive ? '' : 'i'}${this.multiline ? 'm' : ''}${options.unicode ? 'u' : ''}`;
+
+    if (!options.literal && hasGroups(folded)) {
+      flags += INDICES_FLAG;
+    }
+    let source = options.literal ? escapeRegExp(folded) : folded;
+
+    if (options.wholeWord) {
+      source = `\\b(?:${source})\\b`;
+    }
+
+    return this.dictionary.createRegExp(source, flags);
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  *exec(input) {
+    for (const [ pattern, regExp ] of this[_regExps]) {
+      yield* this.matchRegExp(pattern, regExp, input);
+    }
+  }
+
+  /**
+   * Matches the specified global <code>regExp</code> against <code>input</code> and iterates over each match.
+   *
+   * An error will occur if <code>regExp</code> matches the empty string, which {@link Dictionary#validate} may not be
+   * able to detect for all patterns (e.g. those only containing lookaheads), as it would otherwise match forever.
+   *
+   * @param {RegExp} regExp - the <code>RegExp</code> to be matched
+   * @param {string} input - the string to be matched
+   * @return {Iterable.<Dictionary~RegExpMatch>} An <code>Iterable</code> for each match.
+   * @throws {Error} If <code>regExp</code> matches the empty string.
+   * @protected
+   */
+  *execRegExp(regExp, input) {
+    let match;
+
+    // Iteration may have stopped early last time (e.g. due to a limit) so start from the beginning
+    regExp.lastIndex = 0;
+
+    while ((match = regExp.exec(input)) != null) {
+      if (!match[0]) {
+        regExp.lastIndex = 0;
+
+        throw new Error(`Pattern in "${this.dictionary.name}" dictionary matches the empty string: ${regExp.source}`);
+      }
+
+      yield match;
+    }
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getRegExp(pattern) {
+    return this[_regExps].get(pattern) || null;
+  }
+
+  /**
+   * Matches the specified global <code>regExp</code> for <code>pattern</code> against <code>input</code> using
+   * {@link RegExpEngine#execRegExp} and iterates over each match.
+   *
+   * If this {@link RegExpEngine} has a timeout, all of the matches are found up front within a separate VM context so
+   * that matching can be abandoned once the timeout has elapsed, in which case only a single match with
+   * <code>timedOut</code> enabled is iterated over.
+   *
+   * @param {string} pattern - the pattern for which <code>regExp</code> was created
+   * @param {RegExp} regExp - the <code>RegExp</code> to be matched
+   * @param {string} input - the string to be matched
+   * @return {Iterable.<Engine~Match>} An <code>Iterable</code> for each match.
+   * @protected
+   */
+  *matchRegExp(pattern, regExp, input) {
+    if (!this.timeout) {
+      for (const match of this.execRegExp(regExp, input)) {
+        yield { match, pattern };
+      }
+
+      return;
+    }
+
+    if (!this[_context]) {
+      this[_context] = vm.createContext({ exec: null, matches: null });
+    }
+
+    const context = this[_context];
+    let matches;
+
+    context.exec = () => Array.from(this.execRegExp(regExp, input));
+
+    try {
+      EXEC_SCRIPT.runInContext(context, { timeout: this.timeout });
+
+      matches = context.matches;
+    } catch (e) {
+      if (!isTimeout(e)) {
+        throw e;
+      }
+
+      yield { pattern, timedOut: true };
+
+      return;
+    } finally {
+      context.exec = null;
+      context.matches = null;
+    }
+
+    for (const match of matches) {
+      yield { match, pattern };
+    }
+  }
+
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function hasGroups(source) {
+  return /\((?!\?(?:[:=!]|<[=!]))/.test(source);
+}
+
+function isTimeout(error) {
+  // Older versions of Node.js do not provide an error code
+  return error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT' || /^Script execution timed out/.test(error.message);
+}
+
+module.exports = RegExpEngine;
@@ -0,0 +1,145 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const debug = require('debug')('searcherer:api');
+const path = require('path');
+const pollock = require('pollock');
+
+const _instances = Symbol('instances');
+
+/**
+ * Can parse the contents of "dictionary files" in a specific format into a {@link Dictionary}.
+ *
+ * Implementations are responsible for one or more file extensions and <b>must</b> be registered using
+ * {@link DictionaryParser.addParser} in order to be used by {@link Searcherer} when adding dictionary files, which
+ * looks up the parser to be used based on the extension of each file.
+ *
+ * @public
+ */
+class DictionaryParser {
+
+  /**
+   * Adds the specified <code>parser</code> so that it is used to parse dictionary files with any of its extensions.
+   *
+   * <code>parser</code> can either be an instance of {@link DictionaryParser} or a constructor for one. If the latter,
+   * it will be initialized and the resulting instance will be added.
+   *
+   * If a parser has already been added for any of the same extensions, it will be silently replaced by
+   * <code>parser</code> for those extensions.
+   *
+   * @param {Function|DictionaryParser} parser - the {@link DictionaryParser} to be added or its constructor
+   * @return {DictionaryParser} A reference to <code>parser</code> if it's an instance of {@link DictionaryParser};
+   * otherwise the instance created when <code>parser</code> was instantiated.
+   * @public
+   */
+  static addParser(parser) {
+    /* eslint-disable new-cap */
+    const instance = typeof parser === 'function' ? new parser() : parser;
+    /* eslint-enable new-cap */
+
+    for (const extension of instance.getExtensions()) {
+      const key = extension.toLowerCase();
+
+      if (DictionaryParser[_instances].has(key)) {
+        debug('Overwriting existing dictionary parser for extension: %s', key);
+      }
+
+      DictionaryParser[_instances].set(key, instance);
+    }
+
+    return instance;
+  }
+
+  /**
+   * Finds the {@link DictionaryParser} responsible for the extension of the file at the specified path.
+   *
+   * Extensions are matched case-insensitively. This method will return <code>null</code> if no parser could be found
+   * for the extension of <code>filePath</code>.
+   *
+   * @param {string} filePath - the path of the file whose parser is to be returned
+   * @return {?DictionaryParser} The parser for <code>filePath</code> or <code>null</code> if none could be found.
+   * @public
+   */
+  static findParser(filePath) {
+    return DictionaryParser[_instances].get(path.extname(filePath).toLowerCase()) || null;
+  }
+
+  /**
+   * Returns a copy of all of the available {@link DictionaryParser} instances.
+   *
+   * @return {DictionaryParser[]} The parsers.
+   * @public
+   */
+  static getParsers() {
+    return Array.from(new Set(DictionaryParser[_instances].values()));
+  }
+
+}
+
+/**
+ * Returns the file extensions, including the leading dot (e.g. <code>".json"</code>), for which this
+ * {@link DictionaryParser} is responsible.
+ *
+ * All implementations of {@link DictionaryParser} <b>must</b> override this method.
+ *
+ * @return {string[]} The file extensions.
+ * @public
+ * @abstract
+ * @memberof DictionaryParser#
+ * @method getExtensions
+ */
+pollock(DictionaryParser, 'getExtensions');
+
+/**
+ * Parses the specified string, which has been read from a dictionary file, into a {@link Dictionary} using the
+ * <code>options</code> provided.
+ *
+ * This method should return <code>null</code> if <code>str</code> contains no dictionary data.
+ *
+ * All implementations of {@link DictionaryParser} <b>must</b> override this method.
+ *
+ * @param {string} str - the string to be parsed
+ * @param {DictionaryParser~ParseOptions} options - the options to be used
+ * @return {?Dictionary} A {@link Dictionary} parsed from <code>str</code> or <code>null</code> if it contained no
+ * data.
+ * @throws {Error} If <code>str</code> cannot be parsed.
+ * @public
+ * @abstract
+ * @memberof DictionaryParser#
+ * @method parse
+ */
+pollock(DictionaryParser, 'parse');
+
+DictionaryParser[_instances] = new Map();
+
+module.exports = DictionaryParser;
+
+/**
+ * The options that can be passed to {@link DictionaryParser#parse}.
+ *
+ * @typedef {Object} DictionaryParser~ParseOptions
+ * @property {Dictionary~Options} defaults - The default values to be used to fill missing data.
+ * @property {Function} dictionaryType - The {@link Dictionary} implementation whose instances are to be created.
+ * @property {string} filePath - The path of the dictionary file being parsed.
+ */
@@ -0,0 +1,70 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const path = require('path');
+
+const Dictionary = require('../Dictionary');
+const DictionaryParser = require('./DictionaryParser');
+
+/**
+ * An implementation of {@link DictionaryParser} that loads JavaScript dictionary files as modules.
+ *
+ * The module is loaded using <code>require</code>, rather than from the string that was read, so that it can require
+ * other modules relative to itself. It is always loaded afresh so that any changes to the file are picked up. The
+ * module can either export a {@link Dictionary} instance, which is used as-is, or data that can take any of the same
+ * forms as JSON dictionary files (see {@link Dictionary.create}).
+ *
+ * @public
+ */
+class JavaScriptDictionaryParser extends DictionaryParser {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getExtensions() {
+    return [ '.js' ];
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  parse(str, options) {
+    const filePath = path.resolve(options.filePath);
+
+    delete require.cache[filePath];
+
+    /* eslint-disable global-require */
+    const data = require(filePath);
+    /* eslint-enable global-require */
+
+    return data instanceof Dictionary ? data : options.dictionaryType.create(data, options.defaults);
+  }
+
+}
+
+DictionaryParser.addParser(JavaScriptDictionaryParser);
+
+module.exports = JavaScriptDictionaryParser;
@@ -0,0 +1,71 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const DictionaryParser = require('./DictionaryParser');
+
+/**
+ * An implementation of {@link DictionaryParser} that parses plain text dictionary files containing a list of terms.
+ *
+ * Each non-empty line contains a single term, with any leading and trailing whitespace being ignored, and lines
+ * starting with <code>#</code> are treated as comments. A term that starts with <code>#</code> can be escaped using a
+ * backslash (e.g. <code>\#hashtag</code>).
+ *
+ * Since these files are intended to be simple word lists, terms are matched literally rather than as regular
+ * expressions.
+ *
+ * @public
+ */
+class TextDictionaryParser extends DictionaryParser {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getExtensions() {
+    return [ '.txt' ];
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  parse(str, options) {
+    const patterns = [];
+
+    for (const line of str.split(/\r\n?|\n/g)) {
+      const term = line.trim();
+
+      if (term && term[0] !== '#') {
+        patterns.push(term.startsWith('\\#') ? term.substring(1) : term);
+      }
+    }
+
+    return options.dictionaryType.create({ literal: true, patterns }, options.defaults);
+  }
+
+}
+
+DictionaryParser.addParser(TextDictionaryParser);
+
+module.exports = TextDictionaryParser;
@@ -0,0 +1,60 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const yaml = require('js-yaml');
+
+const DictionaryParser = require('./DictionaryParser');
+
+/**
+ * An implementation of {@link DictionaryParser} that parses YAML dictionary files.
+ *
+ * The parsed data can take any of the same forms as JSON dictionary files (see {@link Dictionary.create}).
+ *
+ * @public
+ */
+class YAMLDictionaryParser extends DictionaryParser {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getExtensions() {
+    return [ '.yaml', '.yml' ];
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  parse(str, options) {
+    const data = yaml.safeLoad(str, { filename: options.filePath });
+
+    return options.dictionaryType.create(data, options.defaults);
+  }
+
+}
+
+DictionaryParser.addParser(YAMLDictionaryParser);
+
+module.exports = YAMLDictionaryParser;
@@ -0,0 +1,68 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const { parentPort, workerData } = require('worker_threads');
+
+const Dictionary = require('./Dictionary');
+const engines = require('./engine');
+const Searcherer = require('./Searcherer');
+
+const searcherer = new Searcherer();
+const dictionaries = workerData.dictionaries.map(({ data, engine }) => {
+  return searcherer.addDictionary(new Dictionary(Object.assign({}, data, { engine: engines[engine] })));
+});
+
+parentPort.on('message', ({ filePath, id }) => {
+  const warnings = [];
+  const onWarning = ({ warning }) => warnings.push(warning);
+  let message;
+
+  searcherer.on('warning', onWarning);
+
+  try {
+    const results = searcherer.searchFileSync(filePath, workerData.options);
+
+    message = {
+      id,
+      results: results.map((result) => Object.assign({}, result, {
+        dictionary: result.dictionary ? dictionaries.indexOf(result.dictionary) : null
+      })),
+      warnings: warnings.map((warning) => Object.assign({}, warning, {
+        dictionary: dictionaries.indexOf(warning.dictionary)
+      }))
+    };
+  } catch (e) {
+    message = {
+      error: {
+        code: e.code,
+        message: e.message
+      },
+      id
+    };
+  } finally {
+    searcherer.removeListener('warning', onWarning);
+  }
+
+  parentPort.postMessage(message);
+});
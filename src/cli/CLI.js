@@ -22,29 +22,65 @@
 
 'use strict';
 
+const chalk = require('chalk');
 const { Command } = require('commander');
 const d = require('debug');
 const debug = d('searcherer:cli');
+const diff = require('diff');
 const { EOL } = require('os');
-const getStdin = require('get-stdin').buffer;
+const fs = require('fs');
 const glob = require('glob');
 const iconv = require('iconv-lite');
+const path = require('path');
+const pluralize = require('pluralize');
 const util = require('util');
 
+const Config = require('./Config');
 const pkg = require('../../package.json');
 const Searcherer = require('..');
 const Style = require('./style');
+const Watcher = require('./Watcher');
 
 const findFiles = util.promisify(glob);
 
+const CLEAR_SCREEN = '\u001b[2J\u001b[3J\u001b[H';
+const CONFIG_OPTIONS = {
+  caseSensitive: 'caseSensitive',
+  dictionaries: 'dictionary',
+  encoding: 'encoding',
+  exclude: 'exclude',
+  include: 'include',
+  patterns: 'pattern',
+  style: 'style'
+};
+const WATCH_MODES = [ 'clear', 'incremental' ];
+
 const _baseDir = Symbol('baseDir');
 const _command = Symbol('command');
+const _createOptions = Symbol('createOptions');
+const _createSearcherer = Symbol('createSearcherer');
+const _dictionaryFiles = Symbol('dictionaryFiles');
 const _errorStream = Symbol('errorStream');
+const _failOn = Symbol('failOn');
+const _findDictionaryFiles = Symbol('findDictionaryFiles');
 const _inputStream = Symbol('inputStream');
+const _loadConfig = Symbol('loadConfig');
 const _outputStream = Symbol('outputStream');
-const _searchBuffer = Symbol('searchBuffer');
+const _printDiff = Symbol('printDiff');
+const _reloadDictionary = Symbol('reloadDictionary');
+const _renderMatches = Symbol('renderMatches');
+const _renderResults = Symbol('renderResults');
+const _renderSummary = Symbol('renderSummary');
+const _renderWarnings = Symbol('renderWarnings');
+const _replaceFiles = Symbol('replaceFiles');
+const _replaceStream = Symbol('replaceStream');
 const _searchFiles = Symbol('searchFiles');
-const _searchValue = Symbol('searchValue');
+const _searchStream = Symbol('searchStream');
+const _searchWatchedFiles = Symbol('searchWatchedFiles');
+const _validateDictionaries = Symbol('validateDictionaries');
+const _validateGlobs = Symbol('validateGlobs');
+const _watch = Symbol('watch');
+const _watcher = Symbol('watcher');
 
 /**
  * The command-line interface for {@link Searcherer}.
@@ -67,20 +103,83 @@ class CLI {
    */
   constructor(options = {}) {
     this[_baseDir] = options.baseDir || process.cwd();
+    this[_dictionaryFiles] = new Map();
     this[_errorStream] = options.errorStream || process.stderr;
+    this[_failOn] = [];
     this[_inputStream] = options.inputStream || process.stdin;
     this[_outputStream] = options.outputStream || process.stdout;
     this[_command] = new Command()
       .version(pkg.version)
-      .usage('[options] [files...]')
+      .usage('[options] [files|directories...]')
       .option('--no-color', 'disables color output')
+      .option('-A, --after-context <n>', 'print n lines of context after each match')
+      .option('-B, --before-context <n>', 'print n lines of context before each match')
+      .option('--binary', 'search binary files')
       .option('-c, --case-sensitive', 'enable case-sensitive search')
+      .option('--config <path>', 'read default options from config file at path instead of searching for one')
+      .option('--no-config', 'do not read default options from any config file')
+      .option('--count', 'only print the number of matches for each file')
+      .option('-C, --context <n>', 'print n lines of context before and after each match')
+      .option('--column-unit <unit>', 'count columns in utf16 code units, codepoints, or graphemes [utf16]')
       .option('-d, --debug', 'enable debug level logging')
+      .option('-D, --dictionary <glob>', 'load dictionary file(s) matching glob', collect)
       .option('-e, --encoding <encoding>', 'specify encoding for input [utf8]')
+      .option('--exclude <glob>', 'exclude files and directories matching glob', collect)
+      .option('--fail-on <name>', 'only fail on matches from dictionary with name', collect)
       .option('-f, --filename <filename>', 'specify filename to process STDIN as [<text>]')
+      .option('-l, --files-with-matches', 'only print the paths of files containing matches')
+      .option('-L, --files-without-match', 'only print the paths of files not containing any matches')
+      .option('-i, --ignore-case', 'disable case-sensitive search, even if enabled by config file')
+      .option('--ignore-diacritics', 'ignore diacritics when matching')
+      .option('--include <glob>', 'only search files matching glob', collect)
+      .option('-v, --invert-match', 'only report lines that do not contain any matches')
+      .option('-j, --jobs <n>', 'search up to n files in parallel [1]')
+      .option('-m, --multiline', 'enable patterns to match across multiple lines')
+      .option('--max-results <n>', 'only fail if more than n matches are found [0]')
+      .option('--normalize <form>', 'apply unicode normalization form (NFC, NFD, NFKC, or NFKD) when matching')
+      .option('--only-dictionary <name>', 'only search using dictionary with name', collect)
+      .option('--only-group <name>', 'only print the value captured by group with name (or number) for each match')
+      .option('-o, --only-matching', 'only print the matched part of each match')
       .option('-p, --pattern <pattern>', 'search for pattern')
+      .option('--query <query>', 'only report matches satisfying query combining patterns with AND, OR, and NOT')
+      .option('--query-scope <scope>', 'evaluate query for each line or file [line]')
+      .option('-r, --replace', 'replace matches and print diff')
+      .option('--replacement <replacement>', 'use replacement for patterns when replacing')
       .option('-s, --style <name>', 'specify style for output [default]')
-      .on('option:debug', () => d.enable('searcherer*'));
+      .option('--skip-dictionary <name>', 'do not search using dictionary with name', collect)
+      .option('--timeout <ms>', 'skip any pattern taking longer than ms to match a line and print a warning [0]')
+      .option('--watch', 'search files again when they or any dictionary files change')
+      .option('--watch-mode <mode>', 'clear the screen or print only changed files (clear or incremental) [clear]')
+      .option('-w, --write', 'write replacements back to files instead of printing diff')
+      .on('option:debug', () => d.enable('searcherer*'))
+      // Unset unless either option is used so that caseSensitive within any config file can be overridden either way
+      .on('option:ignore-case', () => {
+        this[_command].caseSensitive = false;
+      });
+    this[_validateGlobs] = null;
+    this[_watcher] = null;
+
+    this[_command]
+      .command('validate <dictionaries...>')
+      .description('validate dictionary file(s) matching glob(s) and print any problems')
+      .action((dictionaries) => {
+        this[_validateGlobs] = dictionaries;
+      });
+  }
+
+  /**
+   * Stops watching files for changes if the <code>--watch</code> option was used.
+   *
+   * Nothing happens if no files are being watched.
+   *
+   * @return {void}
+   * @public
+   */
+  close() {
+    if (this[_watcher]) {
+      this[_watcher].close();
+      this[_watcher] = null;
+    }
   }
 
   /**
@@ -94,23 +193,173 @@ class CLI {
     this[_errorStream].write(`${message}${EOL}`);
   }
 
+  /**
+   * Returns the level of the specified <code>result</code>.
+   *
+   * Only results that are errors count towards failure. If the <code>--fail-on</code> option was used, a result is an
+   * error if it was found using one of the selected dictionaries; otherwise it's only a warning. If that option was not
+   * used at all, the level is the severity of the pattern responsible for the match, which is an error by default.
+   *
+   * @param {Searcherer~Result} result - the search result whose level is to be returned
+   * @return {string} Either <code>"error"</code>, <code>"warning"</code>, or <code>"info"</code>.
+   * @public
+   */
+  getLevel(result) {
+    if (this[_failOn].length) {
+      return result.dictionary && this[_failOn].includes(result.dictionary.name) ? 'error' : 'warning';
+    }
+
+    return result.severity || 'error';
+  }
+
   /**
    * Parses the command-line (process) arguments provided and performs the necessary actions based on the parsed input.
    *
+   * The returned <code>Promise</code> is resolved with the exit code for the process, similar to <code>grep</code>;
+   * <code>0</code> if no matches were found and <code>1</code> if matches were found. Only results that are errors (see
+   * {@link CLI#getLevel}) count towards this and, if the <code>--max-results</code> option is used, only if more than
+   * that number of such results are found. Since each file is only searched up until its first match when either the
+   * <code>--files-with-matches</code> or <code>--files-without-match</code> option is used, only those first matches
+   * count towards this in such cases.
+   *
+   * Default options are read from the configuration file closest to the base directory (see {@link Config.find})
+   * unless the <code>--config</code> option is used to specify the configuration file or the <code>--no-config</code>
+   * option is used. Options specified within <code>args</code> always take precedence over those within the
+   * configuration file. Any files within the configuration file are only searched when no files are specified within
+   * <code>args</code> and the input stream is not a pipe or file, so that input being piped in is still searched while
+   * an empty input stream (e.g. within CI) is not. The input stream is always searched when <code>args</code> only
+   * contains <code>-</code>.
+   *
+   * When the <code>--watch</code> option is used, files are searched again whenever they change and all files are
+   * searched again whenever a dictionary file changes, once it has been reloaded. The returned <code>Promise</code> is
+   * resolved with the exit code for the initial search while the files continue to be watched until {@link CLI#close}
+   * is called or the process is terminated.
+   *
+   * When the <code>validate</code> command is used, the dictionary files are validated instead of searching and the
+   * exit code is <code>1</code> if any errors were found; otherwise <code>0</code>.
+   *
    * An error will occur if any problem arises.
    *
    * @param {string[]} [args] - the arguments to be parsed
-   * @return {Promise.<void, Error>} A <code>Promise</code> for any asynchronous file traversal and/or buffer reading.
+   * @return {Promise.<number, Error>} A <code>Promise</code> for any asynchronous file traversal and/or stream reading
+   * that is resolved with the exit code.
    * @public
    */
   async parse(args = []) {
     debug('Parsing arguments: %o', args);
 
+    this[_validateGlobs] = null;
+
     const command = this[_command].parse(args);
+
+    if (this[_validateGlobs]) {
+      return this[_validateDictionaries](this[_validateGlobs]);
+    }
+
+    const config = await this[_loadConfig](command);
+    const settings = config ? applyConfig(command, config, isPiped(this[_inputStream])) : command;
+    const options = this[_createOptions](settings);
+
+    this[_failOn] = command.failOn || [];
+
+    const searcherer = await this[_createSearcherer](options);
+
+    debug('Processing arguments: %j', settings.args);
+
+    let filePaths = null;
+
+    if (!isStdin(settings.args)) {
+      const fileFinder = new Searcherer.FileFinder({
+        baseDir: this.baseDir,
+        binary: options.binary,
+        encoding: options.encoding,
+        exclude: options.exclude,
+        include: options.include
+      });
+
+      filePaths = await fileFinder.find(settings.args);
+    }
+
+    if (options.watch) {
+      if (options.replace) {
+        throw new Error('Incompatible options: --replace, --watch');
+      }
+      if (!filePaths) {
+        throw new Error('Files or directories must be specified to use --watch');
+      }
+
+      return this[_watch](searcherer, filePaths, options);
+    }
+
+    let errorCount;
+
+    if (options.replace) {
+      if (filePaths) {
+        debug('Replacing in files: %o', filePaths);
+
+        errorCount = await this[_replaceFiles](searcherer, filePaths, options);
+      } else {
+        debug('Replacing in STDIN');
+
+        errorCount = await this[_replaceStream](searcherer, this[_inputStream], options);
+      }
+    } else {
+      // Invalid dictionaries must fail before anything is written so that no partial document is left behind
+      assertValid(searcherer, options);
+
+      if (options.output === 'style') {
+        this[_outputStream].write(options.style.renderStart({ cli: this, columnUnit: options.columnUnit }));
+      }
+
+      if (filePaths) {
+        debug('Searching files: %o', filePaths);
+
+        errorCount = await this[_searchFiles](searcherer, filePaths, options);
+      } else {
+        debug('Searching STDIN');
+
+        errorCount = await this[_searchStream](searcherer, this[_inputStream], options, options.fileName);
+      }
+
+      if (options.output === 'style') {
+        this[_outputStream].write(options.style.renderEnd({ cli: this, columnUnit: options.columnUnit }));
+      }
+    }
+
+    debug('%d %s found', errorCount, pluralize('error', errorCount));
+
+    return errorCount > options.maxResults ? 1 : 0;
+  }
+
+  [_createOptions](command) {
+    const context = parseCount(command.context, 'context', 0);
     const options = {
+      after: parseCount(command.afterContext, 'after context', context),
+      before: parseCount(command.beforeContext, 'before context', context),
+      binary: Boolean(command.binary),
       caseSensitive: Boolean(command.caseSensitive),
+      columnUnit: command.columnUnit || 'utf16',
+      dictionaries: command.dictionary || [],
       encoding: command.encoding || 'utf8',
-      fileName: command.filename || '<text>'
+      exclude: command.exclude || [],
+      fileName: command.filename || '<text>',
+      ignoreDiacritics: Boolean(command.ignoreDiacritics),
+      include: command.include || [],
+      invert: Boolean(command.invertMatch),
+      jobs: parseCount(command.jobs, 'jobs', 1),
+      maxResults: parseCount(command.maxResults, 'max results', 0),
+      multiline: Boolean(command.multiline),
+      // Command#normalize is a method so it's only a string if the option has been used
+      normalize: typeof command.normalize === 'string' ? command.normalize.toUpperCase() : null,
+      onlyGroup: command.onlyGroup,
+      output: getOutputMode(command),
+      query: parseQuery(command),
+      queryScope: command.queryScope,
+      replace: Boolean(command.replace),
+      replacement: command.replacement != null ? command.replacement : null,
+      timeout: parseCount(command.timeout, 'timeout', 0),
+      watch: parseWatchMode(command),
+      write: Boolean(command.write)
     };
 
     if (command.pattern != null) {
@@ -119,69 +368,464 @@ class CLI {
       options.patterns = [];
     }
 
-    if (command.style) {
-      options.style = Style.findStyle(command.style);
-      if (!options.style) {
-        throw new Error(`Invalid style: ${command.style}`);
-      }
-    } else {
-      options.style = Style.getDefaultStyle();
+    const onlyDictionaries = command.onlyDictionary || [];
+    const skipDictionaries = command.skipDictionary || [];
+
+    if (onlyDictionaries.length || skipDictionaries.length) {
+      options.filter = (dictionary) => {
+        if (onlyDictionaries.length && !onlyDictionaries.includes(dictionary.name)) {
+          return false;
+        }
+
+        return !skipDictionaries.includes(dictionary.name);
+      };
     }
 
-    debug('Processing arguments: %j', command.args);
+    if (!Searcherer.ColumnCounter.UNITS.includes(options.columnUnit)) {
+      throw new Error(`Invalid column unit: ${command.columnUnit}`);
+    }
 
-    if (command.args.length) {
-      const filePaths = [];
+    if (options.normalize && !Searcherer.Normalizer.FORMS.includes(options.normalize)) {
+      throw new Error(`Invalid normalization form: ${command.normalize}`);
+    }
+
+    options.style = parseStyle(command, options.columnUnit);
+
+    return options;
+  }
+
+  async [_createSearcherer](options) {
+    const searcherer = new Searcherer();
 
-      for (const arg of command.args) {
-        const files = await findFiles(arg, {
-          absolute: true,
-          cwd: this.baseDir,
-          nodir: true
-        });
+    this[_dictionaryFiles].clear();
 
-        filePaths.push(...files);
+    if (options.patterns.length) {
+      searcherer.addDictionary(new Searcherer.Dictionary({
+        name: '<patterns>',
+        patterns: options.patterns,
+        replacement: options.replacement
+      }));
+    }
+
+    for (const dictionary of options.dictionaries) {
+      for (const filePath of await this[_findDictionaryFiles](dictionary)) {
+        this[_dictionaryFiles].set(filePath, await searcherer.addDictionaryFile(filePath));
       }
+    }
 
-      debug('Searching files: %o', filePaths);
+    // Errors are only thrown once searching so that warnings for patterns at risk of backtracking are seen up front
+    for (const problem of searcherer.validate()) {
+      if (problem.severity === 'warning') {
+        const name = problem.filePath ? path.relative(this.baseDir, problem.filePath) : problem.dictionary.name;
 
-      await this[_searchFiles](filePaths, options);
-    } else {
-      const buffer = await getStdin();
+        this.error(formatProblem(problem, name));
+      }
+    }
+
+    return searcherer;
+  }
 
-      debug('Searching STDIN');
+  async [_findDictionaryFiles](dictionary) {
+    const filePaths = await findFiles(dictionary, {
+      absolute: true,
+      cwd: this.baseDir,
+      nodir: true
+    });
 
-      await this[_searchBuffer](buffer, options, options.fileName);
+    if (!filePaths.length) {
+      throw new Error(`No dictionary files found: ${dictionary}`);
     }
+
+    return filePaths;
   }
 
-  [_searchBuffer](buffer, options, filePath) {
-    this[_searchValue](iconv.decode(buffer, options.encoding), options, filePath);
+  [_loadConfig](command) {
+    // Commander sets the option to false when --no-config is used and to the path when --config is used
+    if (command.config === false) {
+      return null;
+    }
+    if (typeof command.config === 'string') {
+      return Config.load(path.resolve(this.baseDir, command.config));
+    }
+
+    return Config.find(this.baseDir);
   }
 
-  async [_searchFiles](filePaths, options) {
-    const searcherer = new Searcherer({ dictionary: options.patterns });
+  [_printDiff](filePath, original, value) {
+    const name = path.relative(this.baseDir, filePath).replace(/\\/g, '/');
+    const patch = diff.createTwoFilesPatch(`a/${name}`, `b/${name}`, original, value);
+    const lines = patch.split('\n').slice(1);
 
-    for (const filePath of filePaths) {
-      const results = await searcherer.searchFile(filePath, {
-        caseSensitive: options.caseSensitive,
-        encoding: options.encoding
-      });
+    const output = lines.map((line) => {
+      if (/^(\+\+\+|---)/.test(line)) {
+        return chalk.bold(line);
+      } else if (line[0] === '+') {
+        return chalk.green(line);
+      } else if (line[0] === '-') {
+        return chalk.red(line);
+      } else if (line.startsWith('@@')) {
+        return chalk.cyan(line);
+      }
+
+      return line;
+    });
+
+    this[_outputStream].write(output.join(EOL));
+  }
+
+  async [_reloadDictionary](searcherer, filePath) {
+    const previous = this[_dictionaryFiles].get(filePath);
+
+    debug('Reloading dictionary file: %s', filePath);
+
+    if (previous) {
+      searcherer.removeDictionary(previous);
+    }
 
+    try {
+      this[_dictionaryFiles].set(filePath, await searcherer.addDictionaryFile(filePath));
+    } catch (e) {
+      // Keep searching with the last working version of the dictionary until the file has been fixed
+      if (previous) {
+        searcherer.addDictionary(previous);
+      }
+
+      const name = path.relative(this.baseDir, filePath);
+
+      this.error(`${chalk.blue(name)}: ${chalk.red('error')}: Failed to reload dictionary file: ${e.message}`);
+    }
+  }
+
+  [_renderMatches](results, options, filePath) {
+    switch (options.output) {
+    case 'only-group':
+      for (const result of results) {
+        // Only print the whole match if no specific group was requested (i.e. --only-matching)
+        const value = getGroupValue(result, options.onlyGroup || '0');
+
+        if (value != null) {
+          this[_outputStream].write(`${value}${EOL}`);
+        }
+      }
+      break;
+    case 'style':
       this[_outputStream].write(options.style.render(results, {
         cli: this,
+        columnUnit: options.columnUnit,
         filePath
       }));
+      break;
+    default:
+      // Other output modes can only be rendered once all of the results for the file are known
+      break;
     }
   }
 
-  [_searchValue](value, options, filePath) {
-    const results = Searcherer.search(value, options.patterns, { caseSensitive: options.caseSensitive });
+  [_renderResults](results, options, filePath) {
+    this[_renderMatches](results, options, filePath);
 
-    this[_outputStream].write(options.style.render(results, {
-      cli: this,
-      filePath
-    }));
+    return this[_renderSummary](results, options, filePath);
+  }
+
+  [_renderSummary](results, options, filePath) {
+    const name = path.relative(this.baseDir, filePath);
+
+    switch (options.output) {
+    case 'count':
+      this[_outputStream].write(`${chalk.blue(name)}:${results.length}${EOL}`);
+      break;
+    case 'files-with-matches':
+      if (results.length) {
+        this[_outputStream].write(`${chalk.blue(name)}${EOL}`);
+      }
+      break;
+    case 'files-without-match':
+      if (!results.length) {
+        this[_outputStream].write(`${chalk.blue(name)}${EOL}`);
+      }
+      break;
+    case 'style':
+      this[_outputStream].write(options.style.renderFileEnd(results, {
+        cli: this,
+        columnUnit: options.columnUnit,
+        filePath
+      }));
+      break;
+    default:
+      break;
+    }
+
+    return results.filter((result) => this.getLevel(result) === 'error').length;
+  }
+
+  [_renderWarnings](warnings, filePath) {
+    const name = path.relative(this.baseDir, filePath);
+
+    for (const warning of warnings) {
+      const location = warning.lineNumber != null ? `${name}:${warning.lineNumber}` : name;
+      const source = `${JSON.stringify(warning.pattern)} in "${warning.dictionary.name}" dictionary`;
+
+      this.error(`${chalk.blue(location)}: ${chalk.yellow('warning')}: ${warning.message} (${source})`);
+    }
+  }
+
+  async [_replaceFiles](searcherer, filePaths, options) {
+    let errorCount = 0;
+
+    for (const filePath of filePaths) {
+      const result = await searcherer.replaceFile(filePath, {}, Object.assign(getSearchOptions(options), {
+        dryRun: !options.write
+      }));
+      const count = result.results.length;
+
+      if (!count) {
+        continue;
+      }
+
+      if (options.write) {
+        const name = path.relative(this.baseDir, filePath);
+
+        this[_outputStream].write(`${chalk.blue(name)}: ${count} ${pluralize('replacement', count)}${EOL}`);
+      } else {
+        this[_printDiff](filePath, result.original, result.value);
+      }
+
+      errorCount += result.results.filter((searchResult) => this.getLevel(searchResult) === 'error').length;
+    }
+
+    return errorCount;
+  }
+
+  async [_replaceStream](searcherer, readable, options) {
+    const buffer = await readAll(readable);
+    const value = iconv.decode(buffer, options.encoding);
+    const result = searcherer.replace(value, {}, getSearchOptions(options));
+
+    if (options.write) {
+      this[_outputStream].write(result.value);
+    } else if (result.results.length) {
+      this[_printDiff](options.fileName, value, result.value);
+    }
+
+    return result.results.filter((searchResult) => this.getLevel(searchResult) === 'error').length;
+  }
+
+  async [_searchFiles](searcherer, filePaths, options) {
+    let errorCount = 0;
+
+    if (options.jobs > 1) {
+      const search = searcherer.searchFiles(filePaths, Object.assign(getSearchOptions(options), {
+        binary: options.binary,
+        jobs: options.jobs
+      }));
+
+      // Each file is rendered as soon as it has been searched rather than once all of them have
+      await forEach(search, ({ filePath, results, warnings }) => {
+        this[_renderWarnings](warnings, filePath);
+
+        errorCount += this[_renderResults](results, options, filePath);
+      });
+    } else {
+      for (const filePath of filePaths) {
+        errorCount += await this[_searchStream](searcherer, fs.createReadStream(filePath), options, filePath);
+      }
+    }
+
+    return errorCount;
+  }
+
+  async [_searchStream](searcherer, readable, options, filePath) {
+    const warnings = [];
+    const onWarning = ({ warning }) => warnings.push(warning);
+    const search = searcherer.searchStream(readable, getSearchOptions(options));
+    const results = [];
+    let pending = [];
+
+    // Results found together (e.g. within the same chunk) are rendered together so that they can be aligned
+    const renderPending = () => {
+      if (pending.length) {
+        this[_renderMatches](pending, options, filePath);
+
+        pending = [];
+      }
+    };
+
+    searcherer.on('warning', onWarning);
+
+    try {
+      await forEach(search, (result) => {
+        results.push(result);
+
+        // Context lines can only be merged across results once all of them are known
+        if (isIncremental(options)) {
+          if (!pending.length) {
+            setImmediate(renderPending);
+          }
+
+          pending.push(result);
+        }
+      });
+    } finally {
+      searcherer.removeListener('warning', onWarning);
+    }
+
+    this[_renderWarnings](warnings, filePath);
+
+    if (isIncremental(options)) {
+      renderPending();
+
+      return this[_renderSummary](results, options, filePath);
+    }
+
+    return this[_renderResults](results, options, filePath);
+  }
+
+  async [_searchWatchedFiles](searcherer, filePaths, fileResults, options) {
+    let errorCount = 0;
+
+    assertValid(searcherer, options);
+
+    // Files that no longer exist are skipped until they are created again
+    const existingFilePaths = filePaths.filter((filePath) => {
+      if (fs.existsSync(filePath)) {
+        return true;
+      }
+
+      fileResults.set(filePath, null);
+
+      return false;
+    });
+
+    for (const result of await searcherer.searchFiles(existingFilePaths, Object.assign(getSearchOptions(options), {
+      binary: options.binary,
+      jobs: options.jobs
+    }))) {
+      fileResults.set(result.filePath, result);
+    }
+
+    if (options.watch === 'clear') {
+      this[_outputStream].write(CLEAR_SCREEN);
+    }
+
+    if (options.output === 'style') {
+      this[_outputStream].write(options.style.renderStart({ cli: this, columnUnit: options.columnUnit }));
+    }
+
+    // Clearing the screen means that the results for all files must be rendered again, not only those searched
+    for (const filePath of options.watch === 'clear' ? fileResults.keys() : existingFilePaths) {
+      const fileResult = fileResults.get(filePath);
+      if (!fileResult) {
+        continue;
+      }
+
+      this[_renderWarnings](fileResult.warnings, filePath);
+
+      errorCount += this[_renderResults](fileResult.results, options, filePath);
+    }
+
+    if (options.output === 'style') {
+      this[_outputStream].write(options.style.renderEnd({ cli: this, columnUnit: options.columnUnit }));
+    }
+
+    return errorCount;
+  }
+
+  async [_validateDictionaries](dictionaries) {
+    const searcherer = new Searcherer();
+    let errorCount = 0;
+    let fileCount = 0;
+    let problemCount = 0;
+
+    for (const dictionary of dictionaries) {
+      for (const filePath of await this[_findDictionaryFiles](dictionary)) {
+        const name = path.relative(this.baseDir, filePath);
+        let problems;
+
+        debug('Validating dictionary file: %s', filePath);
+
+        fileCount++;
+
+        try {
+          const parsed = await searcherer.addDictionaryFile(filePath);
+
+          problems = parsed && typeof parsed.validate === 'function' ? parsed.validate() : [];
+        } catch (e) {
+          // Files that cannot be parsed have no patterns to validate
+          this[_outputStream].write(`${chalk.blue(name)}: ${chalk.red('error')}: ${e.message}${EOL}`);
+          errorCount++;
+          problemCount++;
+
+          continue;
+        }
+
+        for (const problem of problems) {
+          this[_outputStream].write(`${formatProblem(problem, name)}${EOL}`);
+        }
+
+        errorCount += problems.filter((problem) => problem.severity === 'error').length;
+        problemCount += problems.length;
+      }
+    }
+
+    const warningCount = problemCount - errorCount;
+    let summary = `${problemCount} ${pluralize('problem', problemCount)}`;
+    if (warningCount) {
+      summary += ` (${warningCount} ${pluralize('warning', warningCount)})`;
+    }
+
+    summary += ` found in ${fileCount} dictionary ${pluralize('file', fileCount)}`;
+
+    this[_outputStream].write(`${problemCount ? EOL : ''}${summary}${EOL}`);
+
+    return errorCount ? 1 : 0;
+  }
+
+  async [_watch](searcherer, filePaths, options) {
+    const dictionaryFilePaths = Array.from(this[_dictionaryFiles].keys());
+    const fileResults = new Map(filePaths.map((filePath) => [ filePath, null ]));
+    const watcher = new Watcher();
+    let queue = Promise.resolve();
+
+    this.close();
+    this[_watcher] = watcher;
+
+    const printStatus = () => {
+      debug('Watching files: %o', filePaths);
+
+      this.error(chalk.dim(`Watching ${filePaths.length} ${pluralize('file', filePaths.length)} for changes...`));
+    };
+
+    const errorCount = await this[_searchWatchedFiles](searcherer, filePaths, fileResults, options);
+
+    watcher.on('change', ({ filePaths: changedFilePaths }) => {
+      queue = queue.then(async() => {
+        let reloaded = false;
+
+        for (const filePath of changedFilePaths) {
+          if (dictionaryFilePaths.includes(filePath)) {
+            await this[_reloadDictionary](searcherer, filePath);
+
+            reloaded = true;
+          }
+        }
+
+        // Any file may have different results once a dictionary has changed so all of them must be searched again
+        const searchFilePaths = reloaded ? filePaths : changedFilePaths.filter((filePath) => fileResults.has(filePath));
+
+        await this[_searchWatchedFiles](searcherer, searchFilePaths, fileResults, options);
+
+        printStatus();
+      }).catch((error) => this.error(`searcherer failed: ${error.stack}`));
+    });
+    watcher.on('error', (error) => this.error(`searcherer failed to watch files: ${error.stack}`));
+
+    for (const filePath of filePaths.concat(dictionaryFilePaths)) {
+      watcher.add(filePath);
+    }
+
+    printStatus();
+
+    return errorCount > options.maxResults ? 1 : 0;
   }
 
   /**
@@ -196,6 +840,208 @@ class CLI {
 
 }
 
+function applyConfig(command, config, piped) {
+  // Options that have been specified on the command-line take precedence over those within the config file
+  const settings = Object.create(command);
+
+  for (const name of Object.keys(CONFIG_OPTIONS)) {
+    const property = CONFIG_OPTIONS[name];
+
+    if (command[property] == null && config[name] != null) {
+      settings[property] = config[name];
+    }
+  }
+
+  // Input being piped in is searched instead of the configured files
+  if (!command.args.length && config.files && !piped) {
+    settings.args = config.files;
+  }
+
+  return settings;
+}
+
+function assertValid(searcherer, options) {
+  const errors = searcherer.validate(getSearchOptions(options)).filter((problem) => problem.severity === 'error');
+
+  if (errors.length) {
+    throw new Searcherer.ValidationError(errors);
+  }
+}
+
+function collect(value, values = []) {
+  return values.concat(value);
+}
+
+function forEach(search, callback) {
+  if (typeof Symbol.asyncIterator !== 'symbol') {
+    return search.then((values) => values.forEach(callback));
+  }
+
+  const iterator = search[Symbol.asyncIterator]();
+  const next = () => iterator.next().then((step) => {
+    if (!step.done) {
+      callback(step.value);
+
+      return next();
+    }
+
+    return null;
+  });
+
+  return next();
+}
+
+function formatProblem(problem, name) {
+  const location = chalk.blue(`${name}:${problem.index}`);
+  const severity = problem.severity === 'error' ? chalk.red(problem.severity) : chalk.yellow(problem.severity);
+
+  return `${location}: ${severity}: ${problem.message} (${JSON.stringify(problem.pattern)})`;
+}
+
+function getGroupValue(result, name) {
+  let group;
+
+  if (/^\d+$/.test(name)) {
+    const index = Number(name);
+    if (!index) {
+      return result.match;
+    }
+
+    group = result.groups ? result.groups[index - 1] : null;
+  } else {
+    group = result.namedGroups ? result.namedGroups[name] : null;
+  }
+
+  return group ? group.value : null;
+}
+
+function getOutputMode(command) {
+  const modes = [];
+
+  if (command.count) {
+    modes.push('count');
+  }
+  if (command.filesWithMatches) {
+    modes.push('files-with-matches');
+  }
+  if (command.filesWithoutMatch) {
+    modes.push('files-without-match');
+  }
+  if (command.onlyMatching || command.onlyGroup != null) {
+    modes.push('only-group');
+  }
+
+  if (modes.length > 1) {
+    throw new Error(`Incompatible output options: ${modes.map((mode) => `--${mode}`).join(', ')}`);
+  }
+
+  return modes[0] || 'style';
+}
+
+function getSearchOptions(options) {
+  return {
+    after: options.after,
+    before: options.before,
+    caseSensitive: options.caseSensitive,
+    columnUnit: options.columnUnit,
+    encoding: options.encoding,
+    filter: options.filter,
+    ignoreDiacritics: options.ignoreDiacritics,
+    invert: options.invert,
+    limit: options.output === 'files-with-matches' || options.output === 'files-without-match' ? 1 : 0,
+    multiline: options.multiline,
+    normalize: options.normalize,
+    query: options.query,
+    queryScope: options.queryScope,
+    timeout: options.timeout
+  };
+}
+
+function isIncremental(options) {
+  return !options.after && !options.before;
+}
+
+function isPiped(stream) {
+  // Only an actual pipe or file counts so that an empty STDIN that was never redirected is not mistaken for input
+  if (typeof stream.fd !== 'number') {
+    return !stream.isTTY;
+  }
+
+  try {
+    const stats = fs.fstatSync(stream.fd);
+
+    return stats.isFIFO() || stats.isFile();
+  } catch (e) {
+    return false;
+  }
+}
+
+function isStdin(args) {
+  return !args.length || (args.length === 1 && args[0] === '-');
+}
+
+function parseCount(value, description, defaultValue) {
+  if (value == null) {
+    return defaultValue;
+  }
+
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0) {
+    throw new Error(`Invalid ${description}: ${value}`);
+  }
+
+  return count;
+}
+
+function parseQuery(command) {
+  if (command.queryScope != null && !Searcherer.Query.SCOPES.includes(command.queryScope)) {
+    throw new Error(`Invalid query scope: ${command.queryScope}`);
+  }
+
+  return command.query != null ? new Searcherer.Query(command.query) : null;
+}
+
+function parseStyle(command, columnUnit) {
+  if (!command.style) {
+    return Style.getDefaultStyle();
+  }
+
+  const style = Style.findStyle(command.style);
+  if (!style) {
+    throw new Error(`Invalid style: ${command.style}`);
+  }
+
+  // SARIF has no kind of column for graphemes so consumers would otherwise read them as UTF-16 code units
+  if (columnUnit === 'grapheme' && style.getName() === 'sarif') {
+    throw new Error('Incompatible options: --column-unit grapheme, --style sarif');
+  }
+
+  return style;
+}
+
+function parseWatchMode(command) {
+  if (!command.watch) {
+    return null;
+  }
+
+  const mode = command.watchMode || 'clear';
+  if (!WATCH_MODES.includes(mode)) {
+    throw new Error(`Invalid watch mode: ${mode}`);
+  }
+
+  return mode;
+}
+
+function readAll(readable) {
+  return new Promise((resolve, reject) => {
+    const buffers = [];
+
+    readable.on('data', (buffer) => buffers.push(buffer));
+    readable.on('end', () => resolve(Buffer.concat(buffers)));
+    readable.on('error', reject);
+  });
+}
+
 module.exports = CLI;
 
 /**
@@ -0,0 +1,344 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const chalk = require('chalk');
+const debug = require('debug')('searcherer:cli:config');
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const yaml = require('js-yaml');
+
+const readFile = util.promisify(fs.readFile);
+
+const FILE_NAMES = [ '.searchererrc', '.searchererrc.json', '.searchererrc.yaml', '.searchererrc.yml', 'package.json' ];
+const OPTION_TYPES = {
+  caseSensitive: 'boolean',
+  dictionaries: 'string[]',
+  encoding: 'string',
+  exclude: 'string[]',
+  files: 'string[]',
+  include: 'string[]',
+  patterns: 'string[]',
+  style: 'string'
+};
+
+const _data = Symbol('data');
+const _filePath = Symbol('filePath');
+
+/**
+ * Contains the default options for {@link CLI} that have been read from a configuration file.
+ *
+ * Configuration can be provided by a <code>.searchererrc</code> file, containing either JSON or YAML, or by a
+ * <code>searcherer</code> property within a <code>package.json</code> file. Any dictionary glob patterns and file
+ * arguments are resolved relative to the directory containing the configuration file, as are any include and exclude
+ * glob patterns containing a path separator, so that the configuration behaves the same regardless of the directory
+ * from which it's used. Include and exclude glob patterns without a path separator match file and directory names
+ * anywhere.
+ *
+ * @public
+ */
+class Config {
+
+  /**
+   * Finds the configuration file closest to the specified directory, walking up through its parent directories, and
+   * reads it.
+   *
+   * Within each directory, a <code>.searchererrc</code> file (optionally with a <code>.json</code>, <code>.yaml</code>,
+   * or <code>.yml</code> extension) takes precedence over a <code>package.json</code> file, which is ignored if it has
+   * no <code>searcherer</code> property.
+   *
+   * An error will occur if the configuration file that is found cannot be read or is invalid.
+   *
+   * @param {string} dirPath - the path of the directory from which to start looking for a configuration file
+   * @return {Promise.<?Config, Error>} A <code>Promise</code> for the asynchronous file traversal that is resolved with
+   * the {@link Config} read from the closest configuration file or <code>null</code> if none could be found.
+   * @public
+   */
+  static async find(dirPath) {
+    let currentPath = path.resolve(dirPath);
+
+    for (;;) {
+      for (const fileName of FILE_NAMES) {
+        const config = await readConfig(path.join(currentPath, fileName), false);
+        if (config) {
+          return config;
+        }
+      }
+
+      const parentPath = path.dirname(currentPath);
+      if (parentPath === currentPath) {
+        return null;
+      }
+
+      currentPath = parentPath;
+    }
+  }
+
+  /**
+   * Reads the configuration file at the specified path.
+   *
+   * The file is parsed as JSON if its extension is <code>.json</code>, taking only the <code>searcherer</code> property
+   * if it's a <code>package.json</code> file, and as YAML otherwise.
+   *
+   * An error will occur if the file cannot be read or is invalid.
+   *
+   * @param {string} filePath - the path of the configuration file to be read
+   * @return {Promise.<Config, Error>} A <code>Promise</code> for the asynchronous file reading that is resolved with
+   * the {@link Config} read from the file.
+   * @public
+   */
+  static load(filePath) {
+    return readConfig(path.resolve(filePath), true);
+  }
+
+  /**
+   * Creates an instance of {@link Config} using the <code>data</code> provided.
+   *
+   * Any dictionary glob patterns, file arguments, and include and exclude glob patterns containing a path separator
+   * within <code>data</code> that are relative are resolved relative to the directory containing
+   * <code>filePath</code>.
+   *
+   * @param {Config~Data} data - the configuration data
+   * @param {string} filePath - the path of the configuration file from which <code>data</code> was read
+   * @throws {TypeError} If <code>data</code> is invalid.
+   * @public
+   */
+  constructor(data, filePath) {
+    validateData(data, filePath);
+
+    const dirPath = path.dirname(filePath);
+    const resolve = (value) => path.resolve(dirPath, value);
+
+    this[_data] = Object.assign({}, data);
+    this[_filePath] = filePath;
+
+    for (const name of Object.keys(OPTION_TYPES)) {
+      if (typeof this[_data][name] === 'string' && OPTION_TYPES[name] === 'string[]') {
+        this[_data][name] = [ this[_data][name] ];
+      }
+    }
+
+    if (this[_data].dictionaries) {
+      this[_data].dictionaries = this[_data].dictionaries.map(resolve);
+    }
+    if (this[_data].files) {
+      this[_data].files = this[_data].files.map(resolve);
+    }
+
+    for (const name of [ 'exclude', 'include' ]) {
+      if (this[_data][name]) {
+        this[_data][name] = this[_data][name].map((pattern) => {
+          // Patterns without a path separator match names anywhere so do not depend on any directory
+          return pattern.includes('/') ? resolve(pattern) : pattern;
+        });
+      }
+    }
+  }
+
+  /**
+   * Returns whether case-sensitive search has been configured.
+   *
+   * @return {?boolean} <code>true</code> if searches are case-sensitive, <code>false</code> if they are not, or
+   * <code>null</code> if not configured.
+   * @public
+   */
+  get caseSensitive() {
+    return getValue(this, 'caseSensitive');
+  }
+
+  /**
+   * Returns the configured glob patterns for dictionary files, each being absolute.
+   *
+   * @return {?Array.<string>} The dictionary glob patterns or <code>null</code> if not configured.
+   * @public
+   */
+  get dictionaries() {
+    return getValue(this, 'dictionaries');
+  }
+
+  /**
+   * Returns the configured encoding for the contents of the files to be searched.
+   *
+   * @return {?string} The encoding or <code>null</code> if not configured.
+   * @public
+   */
+  get encoding() {
+    return getValue(this, 'encoding');
+  }
+
+  /**
+   * Returns the configured glob patterns for files and directories to be excluded, with those containing a path
+   * separator being absolute.
+   *
+   * @return {?Array.<string>} The exclude glob patterns or <code>null</code> if not configured.
+   * @public
+   */
+  get exclude() {
+    return getValue(this, 'exclude');
+  }
+
+  /**
+   * Returns the path of the configuration file.
+   *
+   * @return {string} The configuration file path.
+   * @public
+   */
+  get filePath() {
+    return this[_filePath];
+  }
+
+  /**
+   * Returns the configured files, directories, and/or glob patterns to be searched when none are specified, each being
+   * absolute.
+   *
+   * @return {?Array.<string>} The file arguments or <code>null</code> if not configured.
+   * @public
+   */
+  get files() {
+    return getValue(this, 'files');
+  }
+
+  /**
+   * Returns the configured glob patterns for files to be included, with those containing a path separator being
+   * absolute.
+   *
+   * @return {?Array.<string>} The include glob patterns or <code>null</code> if not configured.
+   * @public
+   */
+  get include() {
+    return getValue(this, 'include');
+  }
+
+  /**
+   * Returns the configured patterns to be searched for.
+   *
+   * @return {?Array.<string>} The patterns or <code>null</code> if not configured.
+   * @public
+   */
+  get patterns() {
+    return getValue(this, 'patterns');
+  }
+
+  /**
+   * Returns the name of the configured style for output.
+   *
+   * @return {?string} The style name or <code>null</code> if not configured.
+   * @public
+   */
+  get style() {
+    return getValue(this, 'style');
+  }
+
+}
+
+function getValue(config, name) {
+  const value = config[_data][name];
+
+  return value != null ? value : null;
+}
+
+function isType(value, type) {
+  if (type === 'string[]') {
+    return typeof value === 'string' || (Array.isArray(value) && value.every((item) => typeof item === 'string'));
+  }
+
+  return typeof value === type;
+}
+
+async function readConfig(filePath, required) {
+  let contents;
+
+  try {
+    contents = await readFile(filePath, 'utf8');
+  } catch (e) {
+    if (!required && e.code === 'ENOENT') {
+      return null;
+    }
+
+    throw e;
+  }
+
+  let data;
+
+  if (path.basename(filePath) === 'package.json') {
+    data = JSON.parse(contents).searcherer;
+
+    if (data == null) {
+      if (!required) {
+        return null;
+      }
+
+      throw new Error(`No "searcherer" property found in ${filePath}`);
+    }
+  } else if (path.extname(filePath).toLowerCase() === '.json') {
+    data = JSON.parse(contents);
+  } else {
+    data = yaml.safeLoad(contents, { filename: filePath });
+  }
+
+  debug('Read config file: %s', chalk.blue(filePath));
+
+  // Empty configuration files are permitted
+  return new Config(data != null ? data : {}, filePath);
+}
+
+function validateData(data, filePath) {
+  const description = `config file "${filePath}"`;
+
+  if (data == null || typeof data !== 'object' || Array.isArray(data)) {
+    throw new TypeError(`Invalid ${description}: must be an object`);
+  }
+
+  for (const name of Object.keys(data)) {
+    const type = OPTION_TYPES[name];
+    const value = data[name];
+
+    if (!type) {
+      throw new TypeError(`Invalid ${description}: unknown option "${name}"`);
+    }
+    if (value != null && !isType(value, type)) {
+      const expected = type === 'string[]' ? 'string or array of strings' : type;
+
+      throw new TypeError(`Invalid ${description}: "${name}" option must be a ${expected}`);
+    }
+  }
+}
+
+module.exports = Config;
+
+/**
+ * The data that can be contained within a configuration file.
+ *
+ * @typedef {Object} Config~Data
+ * @property {boolean} [caseSensitive] - <code>true</code> to enable case-sensitive search; otherwise
+ * <code>false</code>.
+ * @property {string|string[]} [dictionaries] - The glob patterns for dictionary files to be loaded.
+ * @property {string} [encoding] - The encoding of the contents of the files to be searched.
+ * @property {string|string[]} [exclude] - The glob patterns for files and directories to be excluded.
+ * @property {string|string[]} [files] - The files, directories, and/or glob patterns to be searched when none are
+ * specified.
+ * @property {string|string[]} [include] - The glob patterns for files to be included.
+ * @property {string|string[]} [patterns] - The patterns to be searched for.
+ * @property {string} [style] - The name of the style for output.
+ */
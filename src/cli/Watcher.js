@@ -0,0 +1,177 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const debug = require('debug')('searcherer:cli:watcher');
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const path = require('path');
+
+const _delay = Symbol('delay');
+const _directories = Symbol('directories');
+const _flush = Symbol('flush');
+const _handleEvent = Symbol('handleEvent');
+const _pending = Symbol('pending');
+const _timer = Symbol('timer');
+const _watchers = Symbol('watchers');
+
+/**
+ * Watches files for changes using <code>fs.watch</code>, emitting the paths of all files that changed once no further
+ * changes have been detected for a short delay.
+ *
+ * The directory containing each file is watched rather than the file itself so that changes are still detected after
+ * the file has been replaced (e.g. by editors that save by renaming a temporary file) or deleted and created again.
+ *
+ * @public
+ */
+class Watcher extends EventEmitter {
+
+  /**
+   * Creates an instance of {@link Watcher} using the <code>options</code> provided.
+   *
+   * @param {Watcher~Options} [options] - the options to be used
+   * @public
+   */
+  constructor(options = {}) {
+    super();
+
+    this[_delay] = options.delay != null ? options.delay : 100;
+    this[_directories] = new Map();
+    this[_pending] = new Set();
+    this[_timer] = null;
+    this[_watchers] = [];
+  }
+
+  /**
+   * Starts watching the file at the specified path for changes.
+   *
+   * Nothing happens if the file is already being watched.
+   *
+   * An error will occur if the directory containing the file cannot be watched.
+   *
+   * @param {string} filePath - the path of the file to be watched
+   * @return {Watcher} A reference to this {@link Watcher} for chaining purposes.
+   * @public
+   */
+  add(filePath) {
+    const dirPath = path.dirname(path.resolve(filePath));
+    let files = this[_directories].get(dirPath);
+
+    if (!files) {
+      debug('Watching directory: %s', dirPath);
+
+      const watcher = fs.watch(dirPath, (eventType, fileName) => this[_handleEvent](dirPath, fileName));
+      watcher.on('error', (error) => this.emit('error', error));
+
+      files = new Map();
+
+      this[_directories].set(dirPath, files);
+      this[_watchers].push(watcher);
+    }
+
+    files.set(path.basename(filePath), filePath);
+
+    return this;
+  }
+
+  /**
+   * Stops watching all files and discards any changes that have yet to be emitted.
+   *
+   * @return {void}
+   * @public
+   */
+  close() {
+    clearTimeout(this[_timer]);
+
+    for (const watcher of this[_watchers]) {
+      watcher.close();
+    }
+
+    this[_directories].clear();
+    this[_pending].clear();
+    this[_timer] = null;
+    this[_watchers] = [];
+  }
+
+  [_flush]() {
+    const filePaths = Array.from(this[_pending]);
+
+    this[_pending].clear();
+    this[_timer] = null;
+
+    debug('Files changed: %o', filePaths);
+
+    /**
+     * The "change" event is fired once no further changes have been detected for the debounce delay after one or more
+     * watched files have changed.
+     *
+     * @event Watcher#change
+     * @type {Object}
+     * @property {string[]} filePaths - The paths of the files that have changed, as they were added, in the order in
+     * which they first changed.
+     */
+    this.emit('change', { filePaths });
+  }
+
+  [_handleEvent](dirPath, fileName) {
+    const files = this[_directories].get(dirPath);
+    if (!files) {
+      return;
+    }
+
+    // Some platforms do not provide the name of the file that changed so all files within the directory are assumed
+    if (fileName == null) {
+      files.forEach((filePath) => this[_pending].add(filePath));
+    } else if (files.has(fileName.toString())) {
+      this[_pending].add(files.get(fileName.toString()));
+    } else {
+      return;
+    }
+
+    clearTimeout(this[_timer]);
+
+    this[_timer] = setTimeout(() => this[_flush](), this[_delay]);
+  }
+
+  /**
+   * Returns the number of milliseconds that this {@link Watcher} waits after the last change was detected before
+   * emitting the changed files.
+   *
+   * @return {number} The debounce delay.
+   * @public
+   */
+  get delay() {
+    return this[_delay];
+  }
+
+}
+
+module.exports = Watcher;
+
+/**
+ * The options that can be passed to the {@link Watcher} constructor.
+ *
+ * @typedef {Object} Watcher~Options
+ * @property {number} [delay=100] - The number of milliseconds to wait after the last change was detected before
+ * emitting the changed files.
+ */
@@ -31,9 +31,11 @@ const table = require('text-table');
 const Style = require('./Style');
 
 /**
- * The default implementation of {@link Style} that prints the match location, the match highlighted within its own
- * line, and the search pattern responsible for the match under the path of the file that they were found in. A summary
- * of the number of results is also printed under each group of results.
+ * The default implementation of {@link Style} that prints the match location, the match highlighted within its own line
+ * (along with any context lines, dimmed), the search pattern responsible for the match (along with its edit distance
+ * for approximate matches), the name of the dictionary containing that pattern, and any message for that pattern under
+ * the path of the file that they were found in. A summary of the number of results is also printed under each group of
+ * results.
  *
  * @public
  */
@@ -52,6 +54,15 @@ class DefaultStyle extends Style {
    * @override
    */
   render(results, options) {
+    // Results are only rendered once all of those for the file are known so that their columns are aligned
+    return '';
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderFileEnd(results, options) {
     const count = results.length;
     if (!count) {
       return '';
@@ -59,15 +70,24 @@ class DefaultStyle extends Style {
 
     let output = `${chalk.blue(options.filePath)}${EOL}`;
     output += table(
-      results.map((result) => {
-        let line = chalk.dim(result.line.substring(0, result.columnNumber));
-        line += chalk.bgYellow(chalk.black(result.match));
-        line += chalk.dim(result.line.substring(result.columnNumber + result.match.length));
+      this.expandContext(results).map((entry) => {
+        const { result } = entry;
+
+        switch (entry.type) {
+        case 'context':
+          return [ chalk.dim(entry.lineNumber), chalk.dim(entry.line) ];
+        case 'separator':
+          return [ chalk.dim('--') ];
+        default:
+          break;
+        }
 
         return [
-          `${result.lineNumber}:${result.columnNumber}`,
-          line,
-          chalk.green(result.pattern)
+          this.formatLocation(result, options),
+          this.highlightMatch(result, options),
+          this.formatPattern(result),
+          chalk.magenta(result.dictionary ? result.dictionary.name : ''),
+          chalk.dim(result.message || '')
         ];
       }),
       {
@@ -77,7 +97,13 @@ class DefaultStyle extends Style {
         }
       }
     ).replace(/\r\n?|\n/g, EOL);
-    const summary = chalk.bold(`${count} ${pluralize('result', count)}`);
+    const warningCount = results.filter((result) => options.cli.getLevel(result) === 'warning').length;
+    let summary = `${count} ${pluralize('result', count)}`;
+    if (warningCount) {
+      summary += ` (${warningCount} ${pluralize('warning', warningCount)})`;
+    }
+
+    summary = chalk.bold(summary);
 
     return `${output}${EOL}${EOL}${summary}${EOL}${EOL}`;
   }
@@ -0,0 +1,148 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const { EOL } = require('os');
+
+const Style = require('./Style');
+
+const _count = Symbol('count');
+
+/**
+ * An implementation of {@link Style} that is intended to be consumed by other programs. All search results across all
+ * files are printed as a single JSON array, with each search result serialized as an object.
+ *
+ * @public
+ */
+class JSONStyle extends Style {
+
+  /**
+   * Creates an instance of {@link JSONStyle}.
+   *
+   * @public
+   */
+  constructor() {
+    super();
+
+    this[_count] = 0;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getName() {
+    return 'json';
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  render(results, options) {
+    let output = '';
+
+    for (const result of results) {
+      output += `${this[_count]++ ? ',' : ''}${EOL}  ${JSON.stringify(this.serializeResult(result, options))}`;
+    }
+
+    return output;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderEnd(options) {
+    return `${this[_count] ? EOL : ''}]${EOL}`;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderStart(options) {
+    this[_count] = 0;
+
+    return '[';
+  }
+
+  /**
+   * Serializes the specified <code>result</code> into a plain object that can be converted into JSON.
+   *
+   * @param {Searcherer~Result} result - the search result to be serialized
+   * @param {Style~RenderOptions} options - the options to be used
+   * @return {Object} The serialized search result.
+   * @protected
+   */
+  serializeResult(result, options) {
+    const data = {
+      filePath: options.filePath,
+      lineNumber: result.lineNumber,
+      columnNumber: result.columnNumber
+    };
+
+    if (result.endLineNumber != null) {
+      data.endLineNumber = result.endLineNumber;
+    }
+
+    data.endColumnNumber = result.endColumnNumber;
+    data.offset = result.offset;
+    data.byteOffset = result.byteOffset;
+    data.line = result.line;
+    data.match = result.match;
+
+    if (result.groups) {
+      data.groups = result.groups;
+    }
+    if (result.namedGroups) {
+      data.namedGroups = result.namedGroups;
+    }
+
+    data.pattern = result.pattern;
+
+    if (result.distance != null) {
+      data.distance = result.distance;
+    }
+
+    data.dictionary = result.dictionary ? result.dictionary.name : null;
+    data.level = options.cli.getLevel(result);
+
+    if (result.message != null) {
+      data.message = result.message;
+    }
+    if (result.before) {
+      data.before = result.before;
+    }
+    if (result.after) {
+      data.after = result.after;
+    }
+
+    return data;
+  }
+
+}
+
+Style.addStyle(JSONStyle);
+
+module.exports = JSONStyle;
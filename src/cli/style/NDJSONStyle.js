@@ -0,0 +1,75 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const { EOL } = require('os');
+
+const JSONStyle = require('./JSONStyle');
+const Style = require('./Style');
+
+/**
+ * An implementation of {@link Style} that is intended to be consumed by other programs, especially those that process
+ * output line-by-line. Each search result is serialized in the same way as {@link JSONStyle} but is printed as JSON on
+ * its own line instead of as part of a single array.
+ *
+ * @public
+ */
+class NDJSONStyle extends JSONStyle {
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getName() {
+    return 'ndjson';
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  render(results, options) {
+    return results.map((result) => `${JSON.stringify(this.serializeResult(result, options))}${EOL}`).join('');
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderEnd(options) {
+    return '';
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderStart(options) {
+    return '';
+  }
+
+}
+
+Style.addStyle(NDJSONStyle);
+
+module.exports = NDJSONStyle;
@@ -0,0 +1,204 @@
+/*
+ * Copyright (C) 2017 Alasdair Mercer, !ninja
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in all
+ * copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN THE
+ * SOFTWARE.
+ */
+
+'use strict';
+
+const { EOL } = require('os');
+const path = require('path');
+
+const pkg = require('../../../package.json');
+const Style = require('./Style');
+
+const _results = Symbol('results');
+const _rules = Symbol('rules');
+
+const COLUMN_KINDS = {
+  codepoint: 'unicodeCodePoints',
+  utf16: 'utf16CodeUnits'
+};
+
+const LEVELS = {
+  error: 'error',
+  info: 'note',
+  warning: 'warning'
+};
+
+/**
+ * An implementation of {@link Style} that prints a single SARIF 2.1.0 log containing all search results across all
+ * files so that they can be consumed by code scanning tools.
+ *
+ * Each {@link Dictionary} is mapped to a rule, whose ID is the name of the dictionary, and each search result is mapped
+ * to a result for that rule, with a physical location relative to the base directory of the {@link CLI}.
+ *
+ * @public
+ */
+class SARIFStyle extends Style {
+
+  /**
+   * Creates an instance of {@link SARIFStyle}.
+   *
+   * @public
+   */
+  constructor() {
+    super();
+
+    this[_results] = [];
+    this[_rules] = new Map();
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  getName() {
+    return 'sarif';
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  render(results, options) {
+    const uri = path.relative(options.cli.baseDir, options.filePath).replace(/\\/g, '/');
+
+    for (const result of results) {
+      const name = result.dictionary ? result.dictionary.name : null;
+
+      if (name != null && !this[_rules].has(name)) {
+        this[_rules].set(name, {
+          id: name,
+          name,
+          shortDescription: { text: `Matches patterns within the "${name}" dictionary` }
+        });
+      }
+
+      this[_results].push(this.createResult(result, uri, options));
+    }
+
+    return '';
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderEnd(options) {
+    const log = {
+      $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+      version: '2.1.0',
+      runs: [
+        {
+          tool: {
+            driver: {
+              name: pkg.name,
+              version: pkg.version,
+              informationUri: pkg.homepage,
+              rules: Array.from(this[_rules].values())
+            }
+          },
+          results: this[_results]
+        }
+      ]
+    };
+
+    if (COLUMN_KINDS[options.columnUnit]) {
+      log.runs[0].columnKind = COLUMN_KINDS[options.columnUnit];
+    }
+
+    return `${JSON.stringify(log, null, 2)}${EOL}`;
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderStart(options) {
+    this[_results] = [];
+    this[_rules].clear();
+
+    return '';
+  }
+
+  /**
+   * Creates a SARIF result for the specified search <code>result</code> found in the file at the specified
+   * <code>uri</code>.
+   *
+   * SARIF lines and columns are 1-based so they are adjusted accordingly. The kind of columns is declared on the run,
+   * however, SARIF has no equivalent for columns counted in graphemes, so {@link CLI} rejects them for this style.
+   *
+   * @param {Searcherer~Result} result - the search result for which the SARIF result is to be created
+   * @param {string} uri - the URI of the file, relative to the base directory, in which <code>result</code> was found
+   * @param {Style~RenderOptions} options - the options to be used
+   * @return {Object} The SARIF result.
+   * @protected
+   */
+  createResult(result, uri, options) {
+    const region = {
+      startLine: result.lineNumber + 1,
+      startColumn: result.columnNumber + 1
+    };
+
+    if (result.endLineNumber != null) {
+      region.endLine = result.endLineNumber + 1;
+    }
+
+    region.endColumn = result.endColumnNumber + 1;
+
+    region.snippet = { text: result.match };
+
+    const properties = {};
+    if (result.pattern != null) {
+      properties.pattern = result.pattern;
+    }
+    if (result.distance != null) {
+      properties.distance = result.distance;
+    }
+
+    let text = result.message;
+    if (!text) {
+      text = result.pattern != null ? `"${result.match}" matches pattern: ${result.pattern}` : 'Line has no matches';
+    }
+
+    // Inverted results are not found by any dictionary so they have no rule
+    return Object.assign(result.dictionary ? { ruleId: result.dictionary.name } : {}, {
+      level: LEVELS[options.cli.getLevel(result)],
+      message: { text },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: {
+              uri,
+              uriBaseId: '%SRCROOT%'
+            },
+            region
+          }
+        }
+      ],
+      properties
+    });
+  }
+
+}
+
+Style.addStyle(SARIFStyle);
+
+module.exports = SARIFStyle;
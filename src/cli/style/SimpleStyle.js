@@ -32,7 +32,8 @@ const Style = require('./Style');
 
 /**
  * An implementation of {@link Style} that is intended to be really simple to read. Each search result is printed on its
- * own line and contains the match location, relative file name, and the match highlighted within its own line.
+ * own line and contains the match location, relative file name, and the match highlighted within its own line. Any
+ * context lines are printed, dimmed, on their own lines in the same way.
  *
  * @public
  */
@@ -51,21 +52,38 @@ class SimpleStyle extends Style {
    * @override
    */
   render(results, options) {
+    // Results are only rendered once all of those for the file are known so that their columns are aligned
+    return '';
+  }
+
+  /**
+   * @inheritdoc
+   * @override
+   */
+  renderFileEnd(results, options) {
     const count = results.length;
     if (!count) {
       return '';
     }
 
+    const relativePath = path.relative(options.cli.baseDir, options.filePath);
     const output = table(
-      results.map((result) => {
-        let line = chalk.dim(result.line.substring(0, result.columnNumber));
-        line += chalk.bgYellow(chalk.black(result.match));
-        line += chalk.dim(result.line.substring(result.columnNumber + result.match.length));
+      this.expandContext(results).map((entry) => {
+        const { result } = entry;
+
+        switch (entry.type) {
+        case 'context':
+          return [ chalk.dim(entry.lineNumber), chalk.dim(relativePath), chalk.dim(entry.line) ];
+        case 'separator':
+          return [ chalk.dim('--') ];
+        default:
+          break;
+        }
 
         return [
-          `${result.lineNumber}:${result.columnNumber}`,
-          `${chalk.blue(path.relative(options.cli.baseDir, options.filePath))}`,
-          line
+          this.formatLocation(result, options),
+          `${chalk.blue(relativePath)}`,
+          this.highlightMatch(result, options)
         ];
       }),
       {
@@ -22,9 +22,12 @@
 
 'use strict';
 
+const chalk = require('chalk');
 const debug = require('debug')('searcherer:cli:style');
 const pollock = require('pollock');
 
+const Searcherer = require('../..');
+
 const _default = Symbol('default');
 const _instances = Symbol('instances');
 
@@ -35,7 +38,12 @@ const _instances = Symbol('instances');
  * syntax) and <b>must</b> be registered using {@link Style.addStyle} in order to be available at runtime.
  *
  * The {@link Style#render} method is used to return the string that is to be written to the output stream based on the
- * results.
+ * results. Since results are rendered as soon as they are found, it may be called multiple times for the same file,
+ * after which {@link Style#renderFileEnd} is called with all of the results for that file, where any rendering that
+ * depends on all of them (e.g. aligning columns) can be done. Optionally,
+ * {@link Style#renderStart} and {@link Style#renderEnd} can be overridden to return strings that are to be written to
+ * the output stream before and after all results have been rendered respectively, which is useful for styles that need
+ * to wrap all results within a single document.
  *
  * @public
  */
@@ -112,6 +120,204 @@ class Style {
     return Array.from(Style[_instances].values());
   }
 
+  /**
+   * Expands the specified <code>results</code> into entries to be rendered, including any context lines within them.
+   *
+   * Results are sorted by their location and context lines which overlap with those of other results, or with lines
+   * containing matches, are merged so that each line only appears once. A separator entry is inserted wherever there is
+   * a gap between lines. If none of the <code>results</code> contain context lines, each result simply has its own
+   * entry.
+   *
+   * @param {Searcherer~Result[]} results - the search results to be expanded
+   * @return {Style~Entry[]} The entries to be rendered.
+   * @protected
+   */
+  expandContext(results) {
+    if (!results.some((result) => result.before || result.after)) {
+      return results.map((result) => ({ result, type: 'result' }));
+    }
+
+    const contextLines = new Map();
+    const matchedLineNumbers = new Set();
+    const resultsByLine = new Map();
+
+    for (const result of results) {
+      const after = result.after || [];
+      const before = result.before || [];
+      const endLineNumber = getEndLineNumber(result);
+
+      before.forEach((line, index) => contextLines.set(result.lineNumber - before.length + index, line));
+      after.forEach((line, index) => contextLines.set(endLineNumber + 1 + index, line));
+
+      for (let lineNumber = result.lineNumber; lineNumber <= endLineNumber; lineNumber++) {
+        matchedLineNumbers.add(lineNumber);
+      }
+
+      if (!resultsByLine.has(result.lineNumber)) {
+        resultsByLine.set(result.lineNumber, []);
+      }
+
+      resultsByLine.get(result.lineNumber).push(result);
+    }
+
+    const lineNumbers = new Set(resultsByLine.keys());
+
+    for (const lineNumber of contextLines.keys()) {
+      if (!matchedLineNumbers.has(lineNumber)) {
+        lineNumbers.add(lineNumber);
+      }
+    }
+
+    const entries = [];
+    let lastLineNumber = null;
+
+    for (const lineNumber of Array.from(lineNumbers).sort((a, b) => a - b)) {
+      if (lastLineNumber != null && lineNumber > lastLineNumber + 1) {
+        entries.push({ type: 'separator' });
+      }
+
+      lastLineNumber = Math.max(lastLineNumber != null ? lastLineNumber : lineNumber, lineNumber);
+
+      if (resultsByLine.has(lineNumber)) {
+        const lineResults = resultsByLine.get(lineNumber).sort((a, b) => a.columnNumber - b.columnNumber);
+
+        for (const result of lineResults) {
+          entries.push({ result, type: 'result' });
+
+          lastLineNumber = Math.max(lastLineNumber, getEndLineNumber(result));
+        }
+      } else {
+        entries.push({ line: contextLines.get(lineNumber), lineNumber, type: 'context' });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Returns the location of the specified <code>result</code> formatted as a string.
+   *
+   * The location contains the line and column numbers at which the match was found and, if the match spans multiple
+   * lines, those at which it ended. If <code>options</code> are provided and the {@link CLI} does not consider
+   * <code>result</code> to be an error, the location is highlighted based on its level.
+   *
+   * @param {Searcherer~Result} result - the search result whose location is to be formatted
+   * @param {Style~RenderOptions} [options] - the options to be used
+   * @return {string} The formatted location.
+   * @protected
+   */
+  formatLocation(result, options) {
+    let location = `${result.lineNumber}:${result.columnNumber}`;
+
+    if (result.endLineNumber != null && result.endLineNumber !== result.lineNumber) {
+      location += `-${result.endLineNumber}:${result.endColumnNumber}`;
+    }
+
+    switch (options ? options.cli.getLevel(result) : 'error') {
+    case 'info':
+      return chalk.blue(location);
+    case 'warning':
+      return chalk.yellow(location);
+    default:
+      return location;
+    }
+  }
+
+  /**
+   * Returns the pattern responsible for the specified <code>result</code>, including the edit distance of its match
+   * from the pattern if it's an approximate match.
+   *
+   * An empty string is returned if <code>result</code> is an inverted result and so has no pattern.
+   *
+   * @param {Searcherer~Result} result - the search result whose pattern is to be formatted
+   * @return {string} The formatted pattern.
+   * @protected
+   */
+  formatPattern(result) {
+    if (result.pattern == null) {
+      return '';
+    }
+
+    const pattern = chalk.green(result.pattern);
+
+    return result.distance ? `${pattern} ${chalk.yellow(`~${result.distance}`)}` : pattern;
+  }
+
+  /**
+   * Returns the line of the specified <code>result</code> with its match highlighted.
+   *
+   * Only the part of the match on the first line is highlighted if the match spans multiple lines and nothing is
+   * highlighted if <code>result</code> is an inverted result (i.e. the line has no matches). If
+   * <code>options</code> are provided, the column number of <code>result</code> is expected to be counted in their
+   * column unit.
+   *
+   * @param {Searcherer~Result} result - the search result whose line is to be highlighted
+   * @param {Style~RenderOptions} [options] - the options to be used
+   * @return {string} The highlighted line.
+   * @protected
+   */
+  highlightMatch(result, options) {
+    if (result.pattern == null) {
+      return result.line;
+    }
+
+    const counter = new Searcherer.ColumnCounter(options ? options.columnUnit : null);
+    const index = counter.indexOf(result.line, result.columnNumber);
+    const match = result.match.split(/\r\n?|\n/)[0];
+
+    let line = chalk.dim(result.line.substring(0, index));
+    line += chalk.bgYellow(chalk.black(match));
+    line += chalk.dim(result.line.substring(index + match.length));
+
+    return line;
+  }
+
+  /**
+   * Returns the string to be written to the output stream after all results have been rendered using the
+   * <code>options</code> provided.
+   *
+   * By default, this method returns an empty string but implementations can override this to close any document opened
+   * by {@link Style#renderStart}.
+   *
+   * @param {Style~EnvelopeOptions} options - the options to be used
+   * @return {string} The rendered string to be written to the output stream.
+   * @public
+   */
+  renderEnd(options) {
+    return '';
+  }
+
+  /**
+   * Returns the string to be written to the output stream after all of the specified <code>results</code> for a file
+   * have been rendered using the <code>options</code> provided.
+   *
+   * By default, this method returns an empty string but implementations can override this to summarize the results for
+   * the file or to render them all together, for example, so that their columns are aligned.
+   *
+   * @param {Searcherer~Result[]} results - all of the results for the file
+   * @param {Style~RenderOptions} options - the options to be used
+   * @return {string} The rendered string to be written to the output stream.
+   * @public
+   */
+  renderFileEnd(results, options) {
+    return '';
+  }
+
+  /**
+   * Returns the string to be written to the output stream before any results are rendered using the
+   * <code>options</code> provided.
+   *
+   * By default, this method returns an empty string but implementations can override this to open a document which
+   * wraps all results.
+   *
+   * @param {Style~EnvelopeOptions} options - the options to be used
+   * @return {string} The rendered string to be written to the output stream.
+   * @public
+   */
+  renderStart(options) {
+    return '';
+  }
+
   /**
    * @inheritdoc
    * @override
@@ -141,6 +347,14 @@ pollock(Style, 'getName');
  * Renders the specified <code>results</code> using the <code>options</code> provided and returns the string to be
  * written to the output stream.
  *
+ * Since results are rendered as soon as they are found, this may be called multiple times for the same file, with
+ * <code>results</code> only containing those found since the previous call. All calls for a file are made before
+ * {@link Style#renderFileEnd} is called with all of its results and before any results for another file are rendered.
+ *
+ * Earlier versions only called this once for each file, with all of its results. Implementations that depend on all of
+ * the results for a file at once (e.g. to align columns) should return an empty string here and render them within
+ * {@link Style#renderFileEnd} instead, as {@link DefaultStyle} and {@link SimpleStyle} do.
+ *
  * @param {Searcherer~Result[]} results - the results to be rendered
  * @param {Style~RenderOptions} options - the options to be used
  * @return {string} The rendered string to be written to the output stream.
@@ -153,12 +367,38 @@ pollock(Style, 'render');
 
 Style[_instances] = new Map();
 
+function getEndLineNumber(result) {
+  return result.endLineNumber != null ? result.endLineNumber : result.lineNumber;
+}
+
 module.exports = Style;
 
+/**
+ * An entry to be rendered, as returned by {@link Style#expandContext}.
+ *
+ * @typedef {Object} Style~Entry
+ * @property {string} [line] - The context line. Only present for context entries.
+ * @property {number} [lineNumber] - The line number of the context line. Only present for context entries.
+ * @property {Searcherer~Result} [result] - The search result. Only present for result entries.
+ * @property {string} type - The type of entry; either <code>"context"</code>, <code>"result"</code>, or
+ * <code>"separator"</code>.
+ */
+
+/**
+ * The options that can be passed to the {@link Style#renderStart} and {@link Style#renderEnd} methods.
+ *
+ * @typedef {Object} Style~EnvelopeOptions
+ * @property {CLI} cli - The {@link CLI} responsible for the render.
+ * @property {string} [columnUnit="utf16"] - The unit (see {@link ColumnCounter.UNITS}) in which the column numbers
+ * within search results are counted.
+ */
+
 /**
  * The options that can be passed to the {@link Style#render} method.
  *
  * @typedef {Object} Style~RenderOptions
  * @property {CLI} cli - The {@link CLI} responsible for the render.
+ * @property {string} [columnUnit="utf16"] - The unit (see {@link ColumnCounter.UNITS}) in which the column numbers
+ * within search results are counted.
  * @property {string} filePath - The path of file being searched.
  */
@@ -24,6 +24,9 @@
 
 const Style = require('./Style');
 require('./DefaultStyle');
+require('./JSONStyle');
+require('./NDJSONStyle');
+require('./SARIFStyle');
 require('./SimpleStyle');
 
 module.exports = Style;